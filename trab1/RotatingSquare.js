@@ -3,8 +3,11 @@
  *
  * Summary.
  *
- * Vertices are scaled by an amount that varies by
- * frame, and this value is passed to the draw function.
+ * Polygons rotating about fixed points. Besides the rotation,
+ * the pose can be scaled, sheared and reflected about the same point,
+ * and each transformation is composed with the previous ones.
+ * Several shapes share the scene, and the fixed point of one shape
+ * may be pinned to a vertex of another.
  *
  * @author Victor Cardoso
  * @since 10/09/2022
@@ -13,120 +16,1176 @@
 
 
 "use strict";
- var vertices = new Float32Array([
-     -0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, -0.5, 0.5, 0.5, -0.5, 0.5,
- ]);
 
- var numPoints = vertices.length / 2;
- var w;
- var h;
- function mapToViewport(x, y, n = 5) {
-     return [((x + n / 2) * w) / n, ((-y + n / 2) * h) / n];
+ import * as affine from "./affine2d.js";
+ import * as polygons from "./polygons.js";
+ import * as encoders from "./encoders.js";
+ import * as styles from "./styles.js";
+ import { Viewport } from "./viewport.js";
+ import { Scene, Shape, loadScene } from "./scene.js";
+ import { Timeline, parseTimeline, loadTimeline } from "./timeline.js";
+ import { sceneToSvg } from "./svg.js";
+
+ //Cena com as formas e a forma selecionada
+ var scene = new Scene([new Shape(polygons.square())]);
+ //Janela do mundo (5 unidades no menor lado) e viewport do canvas
+ var view = new Viewport(400, 400);
+
+ //Cores dos vértices, repetidas em ciclo para polígonos com mais vértices
+ function vertexColor(style, i) {
+     return style.vertexColors[i % style.vertexColors.length];
  }
 
- function getVertex(i) {
-     let j = (i % numPoints) * 2;
-     return [vertices[j], vertices[j + 1]];
+ /**
+  * Troca o estilo de desenho da forma selecionada; o fundo vale para a cena.
+  * @param {Object} s estilo completo, como retornado por styles.parseStyle.
+  */
+ export function setStyle(s) {
+     scene.selected.style = s;
+     scene.background = s.background;
  }
 
- //Função para desenhar o quadrado
- function draw(ctx,angle,vertice) {
-    let vertexIndex = vertice
-    ctx.fillStyle = "rgba(0, 204, 204, 1)";
-    ctx.rect(0, 0, w, h);
-    ctx.fill();
-    let [x, y] = mapToViewport(...getVertex(vertexIndex));
+ /**
+  * Troca o polígono da forma selecionada, voltando à pose inicial
+  * com o ponto fixo no primeiro vértice.
+  * @param {Float32Array} v vértices do novo polígono.
+  */
+ export function setPolygon(v) {
+     scene.selected.setVertices(v);
+ }
+
+ /**
+  * Troca a cena inteira.
+  * @param {Scene} s nova cena.
+  */
+ export function setScene(s) {
+     scene = s;
+ }
 
-    //Rotacionar o quadrado
-    ctx.translate(x,y)
-    ctx.rotate(-angle*Math.PI/180);
-    ctx.translate(-x,-y)
+ /**
+  * <p>Poses intermediárias da composição T(p)·R(θ)·T(−p) aplicada a basePose,
+  * na ordem em que os fatores atuam.</p>
+  * @param {Float64Array} base pose antes da rotação.
+  * @param {Number} angle ângulo em graus.
+  * @param {Number[]} p ponto fixo.
+  * @returns {Array<{label: String, factor: Float64Array, pose: Float64Array}>}
+  * cada fator e a pose depois de aplicá-lo.
+  */
+ export function factorPoses(base, angle, p) {
+     let factors = [
+       { label: "T(−p)", factor: affine.translation(-p[0], -p[1]) },
+       { label: "R(θ)", factor: affine.rotation((angle * Math.PI) / 180) },
+       { label: "T(p)", factor: affine.translation(p[0], p[1]) },
+     ];
+     let m = base;
+     for (let f of factors) {
+       m = affine.multiply(f.factor, m);
+       f.pose = m;
+     }
+     return factors;
+ }
+ //Converte coordenadas do mundo em pixels CSS do canvas
+ function mapToViewport(x, y) {
+     return view.toViewport(x, y);
+ }
 
-    ctx.beginPath();
-    for (let i = 0; i < numPoints; i++) {
-      if (i == 3 || i == 4) continue;
-      let [x, y] = mapToViewport(...getVertex(i).map((v) => v ));
-      if (i == 0) ctx.moveTo(x, y);
-      else ctx.lineTo(x, y);
+ //Inversa de mapToViewport: converte pixels do canvas em coordenadas do mundo
+ function mapToWorld(x, y) {
+     return view.toWorld(x, y);
+ }
+
+ function getVertex(i, points) {
+     let j = (i % (points.length / 2)) * 2;
+     return [points[j], points[j + 1]];
+ }
+
+ /**
+  * Vértices da forma selecionada no mundo, isto é, os seus vértices transformados pela pose.
+  * @param {Float64Array} m pose da forma.
+  * @returns {Float32Array} coordenadas [x0, y0, x1, y1, ...] no mundo.
+  */
+ export function worldVertices(m = scene.selected.pose) {
+     return scene.selected.worldVertices(m);
+ }
+
+ /**
+  * Cantos da forma selecionada no mundo na pose corrente.
+  * @returns {Array<Number[]>} os vértices, na ordem do contorno.
+  */
+ export function getWorldCorners() {
+     let points = worldVertices();
+     return Array.from({ length: points.length / 2 }, (_, i) => getVertex(i, points));
+ }
+
+ /**
+  * Ponto fixo corrente da forma selecionada em coordenadas do mundo.
+  * @returns {Number[]} ponto fixo.
+  */
+ export function getPivot() {
+     return scene.selected.pivot.slice();
+ }
+
+ //Índice do vértice mais próximo (ou mais distante) de um ponto do mundo
+ function closestVertex(points, p, farthest = false) {
+    let best = 0;
+    let bestDist = farthest ? -Infinity : Infinity;
+    for (let i = 0; i < points.length / 2; i++) {
+      let [vx, vy] = getVertex(i, points);
+      let d = Math.hypot(vx - p[0], vy - p[1]);
+      if (farthest ? d > bestDist : d < bestDist) {
+        best = i;
+        bestDist = d;
+      }
     }
-    
-    //Método usado para mudar o gradiente do quadrado dependendo do vértice
-    if(vertice === 3 || vertice == 4){
-        var grd = ctx.createLinearGradient(100, 200, 200, 100);
-        grd.addColorStop(0, "red");
-        grd.addColorStop(1, "blue");
-    } else{
-        if(vertice == 1 || vertice == 5){
-            var grd = ctx.createLinearGradient(160, 160, 240, 240 + Math.sin(-Math.PI / 2));
-            grd.addColorStop(0, "white");
-            grd.addColorStop(1, "green");
+    return best;
+ }
+
+ /**
+  * Índice do vértice de uma forma mais próximo de um pixel do canvas,
+  * desde que a menos de tolerance pixels.
+  * @param {Shape} shape forma.
+  * @param {Number} x pixel x.
+  * @param {Number} y pixel y.
+  * @param {Number} tolerance distância máxima em pixels.
+  * @returns {Number|null} índice do vértice, ou null.
+  */
+ function vertexAt(shape, x, y, tolerance) {
+    let points = shape.worldVertices();
+    let i = closestVertex(points, mapToWorld(x, y));
+    let [vx, vy] = mapToViewport(...getVertex(i, points));
+    return Math.hypot(vx - x, vy - y) <= tolerance ? i : null;
+ }
+
+ /**
+  * Rotaciona a pose do quadrado de angle graus em torno do ponto fixo,
+  * acumulando as rotações anteriores: T(p)·R(θ)·T(−p)·pose.
+  * @param {Float64Array} m transformação corrente.
+  * @param {Number} angle ângulo em graus (anti-horário).
+  * @param {Number[]} p ponto fixo no mundo.
+  * @returns {Float64Array} nova pose.
+  */
+ export function rotateAbout(m, angle, p) {
+    return affine.multiply(
+      affine.fixedPointRotation(p, (angle * Math.PI) / 180),
+      m
+    );
+ }
+
+ /**
+  * Transformações em torno do ponto fixo selecionáveis pelo teclado.
+  * Cada uma recebe o número de passos k (negativo desfaz) e
+  * retorna a matriz em relação à origem.
+  * @type {Object<String, {name: String, matrix: function(Number): Float64Array}>}
+  */
+ const fixedPointTransforms = {
+    1: { name: "uniform scale", matrix: (k) => affine.scaling(1.1 ** k) },
+    2: { name: "scale x", matrix: (k) => affine.scaling(1.1 ** k, 1) },
+    3: { name: "scale y", matrix: (k) => affine.scaling(1, 1.1 ** k) },
+    4: { name: "shear x", matrix: (k) => affine.shear(0.1 * k, 0) },
+    5: { name: "shear y", matrix: (k) => affine.shear(0, 0.1 * k) },
+    6: {
+      name: "reflection",
+      matrix: () => affine.reflection((mirrorAngle * Math.PI) / 180),
+    },
+ };
+
+ //Inclinação, em graus, da reta de reflexão que passa pelo ponto fixo
+ var mirrorAngle = 90;
+
+ /**
+  * Aplica a transformação do modo dado em torno do ponto fixo,
+  * compondo-a com a pose: T(p)·M·T(−p)·pose.
+  * @param {Float64Array} m pose corrente.
+  * @param {String} mode chave de fixedPointTransforms.
+  * @param {Number} k número de passos.
+  * @param {Number[]} p ponto fixo no mundo.
+  * @returns {Float64Array} nova pose.
+  */
+ export function transformAbout(m, mode, k, p) {
+    return affine.multiply(
+      affine.aboutPoint(p, fixedPointTransforms[mode].matrix(k)),
+      m
+    );
+ }
+
+ //Desenha a reta de reflexão pelo ponto fixo
+ function drawMirror(ctx, p) {
+    let a = (mirrorAngle * Math.PI) / 180;
+    let d = [10 * Math.cos(a), 10 * Math.sin(a)];
+    ctx.beginPath();
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 1;
+    ctx.moveTo(...mapToViewport(p[0] - d[0], p[1] - d[1]));
+    ctx.lineTo(...mapToViewport(p[0] + d[0], p[1] + d[1]));
+    ctx.stroke();
+    ctx.setLineDash([]);
+ }
+
+ /**
+  * Modos de exibição do rastro, alternados pela tecla "t".
+  * @type {Array<String>}
+  */
+ const trailModes = ["off", "lines", "ghosts"];
+
+ //Desenha o rastro como polilinhas que esmaecem ou como cópias fantasmas do polígono
+ function drawTrail(ctx, shape, trailMode) {
+    let frames = shape.trail.frames;
+    let n = frames.length;
+    if (trailMode == "lines") {
+      ctx.lineWidth = 2;
+      for (let k = 1; k < n; k++) {
+        ctx.globalAlpha = k / n;
+        for (let i = 0; i < shape.numPoints; i++) {
+          ctx.beginPath();
+          ctx.strokeStyle = vertexColor(shape.style, i);
+          ctx.moveTo(...mapToViewport(...getVertex(i, frames[k - 1])));
+          ctx.lineTo(...mapToViewport(...getVertex(i, frames[k])));
+          ctx.stroke();
         }
+      }
+    } else if (trailMode == "ghosts") {
+      ctx.strokeStyle = "gray";
+      ctx.lineWidth = 2;
+      //Um fantasma a cada 10 quadros, o mais recente mais opaco
+      for (let k = (n - 1) % 10; k < n - 1; k += 10) {
+        ctx.globalAlpha = (0.5 * (k + 1)) / n;
+        ctx.beginPath();
+        for (let i = 0; i < shape.numPoints; i++) {
+          ctx.lineTo(...mapToViewport(...getVertex(i, frames[k])));
+        }
+        ctx.closePath();
+        ctx.stroke();
+      }
+    }
+    ctx.globalAlpha = 1;
+ }
+
+ //Desenha o círculo descrito por cada vértice em torno do ponto fixo
+ function drawRotationCircles(ctx, shape, points) {
+    let p = shape.pivot;
+    let [x, y] = mapToViewport(...p);
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 4]);
+    for (let i = 0; i < shape.numPoints; i++) {
+      let [vx, vy] = getVertex(i, points);
+      let r = Math.hypot(vx - p[0], vy - p[1]);
+      ctx.beginPath();
+      ctx.strokeStyle = vertexColor(shape.style, i);
+      ctx.arc(x, y, r * view.scale, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+ }
+
+ //Desenha a grade e os eixos, com rótulos em unidades do mundo
+ function drawGrid(ctx) {
+    let { xmin, xmax, ymin, ymax } = view.bounds();
+    let step = view.gridStep();
+    let [ox, oy] = mapToViewport(0, 0);
+    //Rótulos ficam nos eixos, ou na borda quando o eixo está fora da tela
+    let labelX = Math.min(Math.max(ox, 4), view.width - 40);
+    let labelY = Math.min(Math.max(oy, 14), view.height - 4);
+    let label = (v) => String(Number(v.toPrecision(6)));
+
+    ctx.lineWidth = 1;
+    ctx.font = "10px sans-serif";
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    for (let gx = Math.ceil(xmin / step) * step; gx <= xmax; gx += step) {
+      let [x] = mapToViewport(gx, 0);
+      ctx.beginPath();
+      ctx.strokeStyle = Math.abs(gx) < step / 2 ? "black" : "rgba(0, 0, 0, 0.15)";
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, view.height);
+      ctx.stroke();
+      ctx.fillText(label(gx), x + 2, labelY - 2);
+    }
+    for (let gy = Math.ceil(ymin / step) * step; gy <= ymax; gy += step) {
+      let [, y] = mapToViewport(0, gy);
+      ctx.beginPath();
+      ctx.strokeStyle = Math.abs(gy) < step / 2 ? "black" : "rgba(0, 0, 0, 0.15)";
+      ctx.moveTo(0, y);
+      ctx.lineTo(view.width, y);
+      ctx.stroke();
+      if (Math.abs(gy) >= step / 2) ctx.fillText(label(gy), labelX + 2, y - 2);
+    }
+ }
+
+ //Desenha as poses intermediárias até o passo dado, tracejadas e rotuladas
+ function drawFactorPoses(ctx, shape, factors, step) {
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 4]);
+    ctx.font = "12px sans-serif";
+    let colors = ["darkorange", "purple", "darkgreen"];
+    for (let k = 0; k < step; k++) {
+      let points = shape.worldVertices(factors[k].pose);
+      ctx.beginPath();
+      ctx.strokeStyle = ctx.fillStyle = colors[k];
+      for (let i = 0; i < shape.numPoints; i++) {
+        ctx.lineTo(...mapToViewport(...getVertex(i, points)));
+      }
+      ctx.closePath();
+      ctx.stroke();
+      let [x, y] = mapToViewport(...getVertex(0, points));
+      let label = factors.slice(0, k + 1).map((f) => f.label).reverse().join("·");
+      ctx.fillText(label, x + 6, y + 14);
     }
+    ctx.setLineDash([]);
+ }
 
-    // Preencher quadrado com a cor
-    ctx.fillStyle = grd;
+ //Formata uma matriz 3x3 (por coluna) em três linhas de texto
+ function formatMatrix(m) {
+    let rows = [];
+    for (let r = 0; r < 3; r++) {
+      rows.push(
+        "| " + [0, 1, 2].map((c) => m[c * 3 + r].toFixed(3).padStart(8)).join(" ") + " |"
+      );
+    }
+    return rows;
+ }
+
+ /**
+  * Texto do painel com a forma selecionada, o seu ponto fixo, o ângulo acumulado,
+  * o deslocamento medido do ponto fixo e a matriz composta T(p)·R(θ)·T(−p),
+  * seguida dos fatores.
+  * @param {Shape} shape forma selecionada.
+  * @param {Array<{label: String, factor: Float64Array, pose: Float64Array}>} factors fatores de factorPoses.
+  * @param {Number} step quantos fatores são mostrados no canvas (0 a 3).
+  * @returns {String} texto do painel.
+  */
+ function hudText(shape, factors, step) {
+    let angle = shape.accumulatedAngle;
+    let p = shape.pivot;
+    let composite = affine.fixedPointRotation(p, (angle * Math.PI) / 180);
+    let normalized = ((angle % 360) + 360) % 360;
+    let index = (s) => scene.shapes.indexOf(s) + 1;
+    let lines = [
+      `shape ${index(shape)} of ${scene.shapes.length}, ${shape.angularVelocity}°/s` +
+        (shape.attachment
+          ? `, pinned to vertex ${shape.attachment.vertex} of shape ${index(shape.attachment.shape)}`
+          : ""),
+      `p = (${p[0].toFixed(3)}, ${p[1].toFixed(3)})`,
+      `θ = ${angle.toFixed(2)}° (${normalized.toFixed(2)}° mod 360)`,
+      `${scene.exact ? "exact" : "incremental"} mode, pivot drift = ${shape.drift.toExponential(2)}`,
+      "",
+      "T(p)·R(θ)·T(−p) =",
+      ...formatMatrix(composite),
+    ];
+    factors.forEach((f, k) => {
+      lines.push("", `${k < step ? "▶" : " "} ${k + 1}. ${f.label} =`, ...formatMatrix(f.factor));
+    });
+    return lines.join("\n");
+ }
+
+ /**
+  * Cria o preenchimento do estilo de uma forma. Os gradientes são dados nas
+  * coordenadas do polígono e o retângulo envolvente completa os pontos omitidos.
+  * @param {CanvasRenderingContext2D} ctx contexto do canvas.
+  * @param {Shape} shape forma.
+  * @returns {String|CanvasGradient} estilo de preenchimento.
+  */
+ function createFill(ctx, shape) {
+    let fill = shape.style.fill;
+    if (fill.type == "solid") return fill.color;
+
+    let g = styles.gradientGeometry(fill, shape.vertices);
+    let grd =
+      fill.type == "linear"
+        ? ctx.createLinearGradient(...g.from, ...g.to)
+        : ctx.createRadialGradient(...g.center, 0, ...g.center, g.radius);
+    for (let [offset, color] of fill.stops) grd.addColorStop(offset, color);
+    return grd;
+ }
+
+ /**
+  * Preenche a forma com o estilo, desenhando nas coordenadas do polígono:
+  * a transformação do contexto passa a ser viewport·pose, e assim o gradiente
+  * acompanha a forma. O caminho é construído depois da troca da transformação,
+  * porque alguns canvas fora do navegador (Skia) transformam também um caminho
+  * já construído, ao contrário do que diz a especificação.
+  * @param {CanvasRenderingContext2D} ctx contexto do canvas.
+  * @param {Shape} shape forma.
+  */
+ function fillPolygon(ctx, shape) {
+    let t = affine.multiply(view.matrix(), shape.pose);
+    let d = view.dpr;
+    ctx.save();
+    ctx.setTransform(d * t[0], d * t[1], d * t[3], d * t[4], d * t[6], d * t[7]);
+    ctx.beginPath();
+    for (let i = 0; i < shape.numPoints; i++) {
+      let [x, y] = getVertex(i, shape.vertices);
+      if (i == 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+    ctx.fillStyle = createFill(ctx, shape);
     ctx.fill();
+    ctx.restore();
+ }
+
+ /**
+  * Desenha uma forma com o seu ponto fixo. O marcador da forma selecionada
+  * é uma mira; o das outras, um círculo menor, cheio se o ponto fixo
+  * está preso a um vértice de outra forma.
+  * @param {CanvasRenderingContext2D} ctx contexto do canvas.
+  * @param {Shape} shape forma.
+  * @param {Boolean} selected se é a forma selecionada.
+  * @param {Object} options as mesmas opções de draw.
+  */
+ function drawShape(ctx, shape, selected, options) {
+    let { trailMode = "off", circles = false } = options;
+    let style = shape.style;
+    let [x, y] = mapToViewport(...shape.pivot);
+
+    //Os vértices já chegam rotacionados ao mundo
+    let points = shape.worldVertices();
 
-    //Preencher bordas do quadrado
+    if (trailMode != "off") drawTrail(ctx, shape, trailMode);
+    if (circles) drawRotationCircles(ctx, shape, points);
+
+    // Preencher o polígono com o estilo, o mesmo para qualquer ponto fixo
+    fillPolygon(ctx, shape);
+
+    //Preencher bordas do polígono
+    ctx.beginPath();
+    for (let i = 0; i < shape.numPoints; i++) {
+      let [x, y] = mapToViewport(...getVertex(i, points));
+      if (i == 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
     ctx.closePath();
-    ctx.strokeStyle = "gray";
-    ctx.lineWidth = 6;
+    ctx.strokeStyle = style.stroke.color;
+    ctx.lineWidth = style.stroke.width;
     ctx.stroke();
-    
-    let vertexColor = {
-      2: "blue",
-      5: "white",
-      1: "green",
-      0: "red"
-    }
 
 
     //Desenha os vértices
-    for(let i = 0; i < numPoints; i++){
-      if(i==3 || i==4) continue;
-      let [x,y] = mapToViewport(...getVertex(i).map((x) => x));
+    for(let i = 0; i < shape.numPoints; i++){
+      let [x,y] = mapToViewport(...getVertex(i, points));
       ctx.beginPath();
-      ctx.fillStyle = vertexColor[i];
-      ctx.arc(x, y, 4, 0, 2*Math.PI);
+      ctx.fillStyle = vertexColor(style, i);
+      ctx.arc(x, y, style.vertexRadius, 0, 2*Math.PI);
       ctx.fill();
       ctx.closePath();
     }
-    
-    
+
+    //Marcador do ponto fixo
+    ctx.beginPath();
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 2;
+    if (selected) {
+      ctx.arc(x, y, 8, 0, 2*Math.PI);
+      ctx.moveTo(x - 12, y);
+      ctx.lineTo(x + 12, y);
+      ctx.moveTo(x, y - 12);
+      ctx.lineTo(x, y + 12);
+    } else {
+      ctx.arc(x, y, 5, 0, 2*Math.PI);
+    }
+    ctx.stroke();
+    if (shape.attachment) {
+      ctx.fillStyle = "black";
+      ctx.fill();
+    }
  }
 
- function mainEntrance() {
+ /**
+  * Desenha a cena: fundo, grade e as formas na ordem da lista.
+  * @param {CanvasRenderingContext2D} ctx contexto do canvas.
+  * @param {Scene} scene cena.
+  * @param {Object} options modo de transformação selecionado (mode),
+  * rastro (trailMode), círculos de rotação (circles), grade (grid)
+  * e poses intermediárias da forma selecionada (factors, até o passo factorStep).
+  */
+ function draw(ctx, scene, options = {}) {
+    let { mode, grid = false, factors, factorStep = 0 } = options;
+    //Desenha em pixels CSS; o canvas tem dpr pixels por pixel CSS
+    ctx.setTransform(view.dpr, 0, 0, view.dpr, 0, 0);
+    ctx.fillStyle = scene.background;
+    ctx.fillRect(0, 0, view.width, view.height);
+    if (grid) drawGrid(ctx);
+
+    for (let shape of scene.shapes) drawShape(ctx, shape, shape == scene.selected, options);
+
+    let selected = scene.selected;
+    if (mode == 6) drawMirror(ctx, selected.pivot);
+    if (factors && factorStep > 0) drawFactorPoses(ctx, selected, factors, factorStep);
+ }
+
+ /**
+  * <p>Desenha uma cena em qualquer contexto compatível com
+  * CanvasRenderingContext2D: o canvas da página, um canvas fora da tela,
+  * o node-canvas ou um contexto que apenas grava as chamadas.</p>
+  *
+  * Os campos omitidos de frame usam a cena e a viewport da animação.
+  * A viewport global é trocada pela de frame durante o desenho, que é síncrono.
+  * @param {CanvasRenderingContext2D} ctx contexto de destino.
+  * @param {Object} frame cena (scene) e viewport (view).
+  * @param {Object} options as mesmas opções de draw.
+  */
+ export function render(ctx, frame = {}, options = {}) {
+    let saved = view;
+    view = frame.view || view;
+    try {
+      draw(ctx, frame.scene || scene, options);
+    } finally {
+      view = saved;
+    }
+ }
+
+ /**
+  * Controla a animação pelo tempo real entre quadros,
+  * de forma que a velocidade angular não dependa da taxa de atualização do monitor.
+  * @class
+  */
+ class AnimationController {
+    /**
+     * @constructs AnimationController
+     */
+    constructor() {
+      /** Animação pausada. */
+      this.paused = false;
+      /** Timestamp do quadro anterior, em ms. */
+      this.lastTime = null;
+      /** Tempo pendente de um passo único, em segundos. */
+      this.pending = 0;
+    }
+
+    /** Pausa ou retoma a animação. */
+    toggle() {
+      this.paused = !this.paused;
+    }
+
+    /** Pausa a animação e avança o equivalente a um quadro de 60 Hz. */
+    step() {
+      this.paused = true;
+      this.pending += 1 / 60;
+    }
+
+    /**
+     * Retorna o tempo de animação decorrido até o quadro com o timestamp dado.
+     * Intervalos muito longos (aba em segundo plano) são limitados a 0.1 s.
+     * @param {DOMHighResTimeStamp} time timestamp de requestAnimationFrame.
+     * @returns {Number} intervalo em segundos.
+     */
+    advance(time) {
+      let dt = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+      this.lastTime = time;
+      let elapsed = this.pending;
+      this.pending = 0;
+      if (!this.paused) elapsed += Math.min(dt, 0.1);
+      return elapsed;
+    }
+ }
+
+ /**
+  * <p>Desenha uma volta completa da forma selecionada em torno do seu ponto fixo
+  * num canvas fora da tela, chamando onFrame para cada quadro.</p>
+  *
+  * A animação roda sobre uma cópia da cena: entre dois quadros a forma selecionada
+  * gira exatamente 360/frameCount graus e as outras avançam o mesmo tempo,
+  * de acordo com as suas velocidades. As transições do ponto fixo em andamento
+  * são concluídas antes do primeiro quadro, de forma que o resultado só depende
+  * da cena, e não do instante da exportação.
+  * A viewport tem a resolução pedida e a mesma janela do mundo da animação.
+  * @param {Number} frameCount número de quadros.
+  * @param {Number} size largura e altura do quadro em pixels.
+  * @param {function(HTMLCanvasElement, Number)} onFrame recebe o canvas e o índice do quadro.
+  */
+ export function renderRevolution(frameCount, size, onFrame) {
+    let canvas = document.createElement("canvas");
+    canvas.width = canvas.height = size;
+    let ctx = canvas.getContext("2d", { willReadFrequently: true });
+    let frameView = view.resized(size, size);
+    let copy = scene.clone();
+    let selected = copy.selected;
+    //Parada, a forma selecionada dá a volta no tempo da velocidade padrão
+    let dt = 360 / (selected.speed || 120) / frameCount;
+    let angle = (selected.direction * 360) / frameCount;
+    //O relógio começa no fim das transições do ponto fixo em andamento, e não na hora atual
+    let ends = copy.shapes
+      .filter((shape) => shape.transition.from)
+      .map((shape) => shape.transition.start + shape.transition.duration);
+    let time = Math.max(0, ...ends);
+    copy.update(0, time);
+    for (let k = 0; k < frameCount; k++) {
+      if (k > 0) {
+        time += dt * 1000;
+        copy.update(dt, time, new Map([[selected, angle]]));
+      }
+      render(ctx, { scene: copy, view: frameView });
+      onFrame(canvas, k);
+    }
+ }
+
+ /**
+  * Exporta uma volta completa como um zip de quadros PNG.
+  * @param {Number} frameCount número de quadros.
+  * @param {Number} size resolução em pixels.
+  * @returns {Uint8Array} conteúdo do zip.
+  */
+ export function exportPngZip(frameCount, size) {
+    let files = [];
+    let digits = String(frameCount - 1).length;
+    renderRevolution(frameCount, size, (canvas, k) => {
+      let base64 = canvas.toDataURL("image/png").split(",")[1];
+      let data = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+      files.push({ name: `frame${String(k).padStart(digits, "0")}.png`, data });
+    });
+    return encoders.zip(files);
+ }
+
+ /**
+  * Exporta uma volta completa como um GIF animado.
+  * Cada quadro é codificado assim que é desenhado, de forma que
+  * só os pixels de um quadro ficam na memória.
+  * @param {Number} frameCount número de quadros.
+  * @param {Number} size resolução em pixels.
+  * @param {Number} delay intervalo entre quadros em centésimos de segundo.
+  * @returns {Uint8Array} conteúdo do GIF.
+  */
+ export function exportGif(frameCount, size, delay = 4) {
+    let gif = new encoders.GifEncoder(size, size, delay);
+    renderRevolution(frameCount, size, (canvas) => {
+      gif.addFrame(canvas.getContext("2d").getImageData(0, 0, size, size).data);
+    });
+    return gif.finish();
+ }
+
+ /**
+  * Exporta o quadro corrente como um documento SVG, com o tamanho
+  * da viewport em pixels CSS.
+  * @returns {String} documento SVG.
+  */
+ export function exportSvg() {
+    return sceneToSvg(scene, view);
+ }
+
+ //Oferece os bytes para download com o nome dado
+ function download(bytes, name, type) {
+    let url = URL.createObjectURL(new Blob([bytes], { type }));
+    let link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+ }
+
+ /**
+  * Formas acrescentadas pela tecla "+", em ciclo, com o preenchimento de cada uma.
+  * @type {Array<{polygon: Object, color: String}>}
+  */
+ const extraShapes = [
+    { polygon: { shape: "ngon", n: 6 }, color: "gold" },
+    { polygon: { shape: "star", n: 5 }, color: "orchid" },
+    { polygon: { shape: "ngon", n: 3 }, color: "yellowgreen" },
+    { polygon: { shape: "square" }, color: "coral" },
+ ];
+
+ /**
+  * Teclas que não alteram a cena: não interrompem a reprodução
+  * de uma gravação nem geram quadros-chave.
+  * @type {Set<String>}
+  */
+ const viewKeys = new Set([
+    " ", "s", "1", "2", "3", "4", "5", "6", "k",
+    "t", "c", "a", "h", "f", "Home", "o", "p",
+ ]);
+
+ export function mainEntrance() {
      var canvasElement = document.querySelector("#theCanvas");
      var ctx = canvasElement.getContext("2d");
-     let vertice = 3
-     w = canvasElement.width;
-     h = canvasElement.height;
-     document.addEventListener("keydown", (event) => {
-        console.log(event.key);
+     let animation = new AnimationController();
+     let choosePivot = (target) => {
+        scene.selected.choosePivot(target, performance.now());
+      };
+     let mode = "1";
+     let trailMode = "off";
+     let circles = false;
+     //Prender o ponto fixo da forma selecionada ao próximo vértice tocado
+     let linking = false;
+     let modeLabel = document.querySelector("#mode");
+     let showMode = () => {
+        modeLabel.textContent = linking
+          ? "tap a vertex of another shape"
+          : fixedPointTransforms[mode].name;
+      };
+     showMode();
+     let speedInput = document.querySelector("#speed");
+     let speedLabel = document.querySelector("#speedValue");
+
+     //A velocidade mostrada é a da forma selecionada
+     let setSpeed = (speed) => {
+        scene.selected.speed = Math.max(0, speed);
+        showSpeed();
+      };
+     let showSpeed = () => {
+        speedInput.value = scene.selected.speed;
+        speedLabel.textContent = scene.selected.speed;
+      };
+     speedInput.addEventListener("input", () => {
+        edit();
+        setSpeed(Number(speedInput.value));
+      });
+     showSpeed();
+     let grid = false;
+     let hud = document.querySelector("#hud");
+     let factorStep = 0;
+
+     //Gravação e reprodução da sessão
+     let recording = null;
+     let timeline = null;
+     let playback = null;
+     //A cena mudou por uma ação do usuário desde o último quadro gravado
+     let changed = false;
+     let timelineInput = document.querySelector("#timeline");
+     let timelineLabel = document.querySelector("#timelineInfo");
+     let showTimeline = (frame) => {
+        if (recording) {
+          timelineLabel.textContent = `recording: ${recording.length} frames`;
+          return;
+        }
+        if (!timeline) return;
+        timelineInput.disabled = false;
+        timelineInput.max = timeline.length - 1;
+        if (frame !== undefined) timelineInput.value = frame;
+        timelineLabel.textContent =
+          `${playback ? "playing" : "recorded"}: frame ${timelineInput.value} of ` +
+          `${timeline.length} (${(timeline.duration / 1000).toFixed(1)} s)`;
+      };
+
+     //Volta a animar ao vivo a partir do quadro mostrado; a cópia
+     //preserva a cena reconstruída que a linha do tempo reaproveita
+     let stopPlayback = () => {
+        if (!playback) return;
+        playback = null;
+        scene = scene.clone();
+        showTimeline();
+      };
+
+     //Mostra o quadro k da gravação e continua a reprodução a partir dele
+     let seek = (k) => {
+        if (recording) return;
+        k = Math.min(Math.max(0, k), timeline.length - 1);
+        playback = { elapsed: timeline.frames[k].time - timeline.frames[0].time };
+        scene = timeline.sceneAt(k);
+        showSpeed();
+        showTimeline(k);
+      };
+
+     let toggleRecording = () => {
+        if (recording) {
+          timeline = recording;
+          recording = null;
+          showTimeline(timeline.length - 1);
+        } else {
+          stopPlayback();
+          recording = new Timeline();
+          timelineInput.disabled = true;
+        }
+      };
+
+     //Reproduz a partir do quadro do controle deslizante, ou do início se está no fim;
+     //a reprodução anterior termina pausada, por isso a animação é retomada
+     let togglePlayback = () => {
+        if (playback) stopPlayback();
+        else if (timeline && !recording) {
+          let k = Number(timelineInput.value);
+          animation.paused = false;
+          seek(k < timeline.length - 1 ? k : 0);
+        }
+      };
+
+     /**
+      * Chamada antes de toda ação que altera a cena: interrompe a reprodução,
+      * de forma que a ação vale a partir do quadro mostrado, e marca um
+      * quadro-chave para a gravação.
+      */
+     let edit = () => {
+        stopPlayback();
+        changed = true;
+      };
+
+     timelineInput.addEventListener("input", () => seek(Number(timelineInput.value)));
+     document.querySelector("#saveTimeline").addEventListener("click", () => {
+        if (!timeline) return;
+        let json = new TextEncoder().encode(JSON.stringify(timeline));
+        download(json, "timeline.json", "application/json");
+      });
+     document.querySelector("#loadTimeline").addEventListener("change", (event) => {
+        let file = event.target.files[0];
+        if (!file || recording) return;
+        file
+          .text()
+          .then((text) => {
+            timeline = parseTimeline(JSON.parse(text));
+            seek(0);
+          })
+          .catch((error) => console.error(error));
+      });
+
+     //O canvas ocupa o tamanho dado pelo CSS, com dpr pixels por pixel CSS
+     let resize = () => {
+        let dpr = window.devicePixelRatio || 1;
+        let { width, height } = canvasElement.getBoundingClientRect();
+        canvasElement.width = Math.round(width * dpr);
+        canvasElement.height = Math.round(height * dpr);
+        view.resize(width, height, dpr);
+      };
+     new ResizeObserver(resize).observe(canvasElement);
+     resize();
 
-        //Ajustar binding do teclado
-        switch (event.key) {
+     //Roda do mouse: zoom em torno do cursor
+     canvasElement.addEventListener(
+        "wheel",
+        (event) => {
+          event.preventDefault();
+          view.zoomAt(event.offsetX, event.offsetY, 1.1 ** (-event.deltaY / 100));
+        },
+        { passive: false }
+      );
+
+     //Ponteiros (mouse, caneta ou dedos) pressionados sobre o canvas
+     let pointers = new Map();
+     let drag = null;
+     let twist = null;
+     let twistAngle = 0;
+     canvasElement.style.touchAction = "none";
+
+     //Ângulo, na tela, da reta entre os dois primeiros ponteiros
+     let pointersAngle = () => {
+        let [p, q] = [...pointers.values()];
+        return Math.atan2(q.y - p.y, q.x - p.x);
+      };
+
+     canvasElement.addEventListener("pointerdown", (event) => {
+        canvasElement.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, { x: event.offsetX, y: event.offsetY });
+        if (pointers.size == 1) {
+          drag = { x: event.offsetX, y: event.offsetY, moved: false };
+        } else if (pointers.size == 2) {
+          //Dois dedos: o giro entre eles controla o ângulo diretamente
+          drag = null;
+          twist = { angle: pointersAngle() };
+        }
+      });
+
+     canvasElement.addEventListener("pointermove", (event) => {
+        if (!pointers.has(event.pointerId)) return;
+        pointers.set(event.pointerId, { x: event.offsetX, y: event.offsetY });
+        if (twist && pointers.size >= 2) {
+          let a = pointersAngle();
+          //Normaliza a diferença para (−π, π]; na tela o eixo y aponta para baixo
+          let delta = Math.atan2(Math.sin(a - twist.angle), Math.cos(a - twist.angle));
+          twistAngle -= (delta * 180) / Math.PI;
+          twist.angle = a;
+        } else if (drag) {
+          //Um ponteiro arrastado desloca a janela do mundo
+          let [dx, dy] = [event.offsetX - drag.x, event.offsetY - drag.y];
+          if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+          drag.moved = true;
+          view.pan(dx, dy);
+          [drag.x, drag.y] = [event.offsetX, event.offsetY];
+        }
+      });
+
+     /**
+      * Toque sem arraste. Ao prender, escolhe o vértice de outra forma;
+      * senão, um vértice próximo da forma selecionada vira o ponto fixo,
+      * um toque dentro de outra forma a seleciona e um toque fora dela
+      * fixa o próprio ponto.
+      * @param {Number} x pixel x.
+      * @param {Number} y pixel y.
+      * @param {Number} tolerance distância máxima até um vértice, em pixels.
+      */
+     let tap = (x, y, tolerance) => {
+        let selected = scene.selected;
+        if (linking) {
+          linking = false;
+          showMode();
+          for (let shape of scene.shapes) {
+            let hit = shape == selected ? null : vertexAt(shape, x, y, tolerance);
+            if (hit === null) continue;
+            try {
+              scene.attach(selected, shape, hit, performance.now());
+            } catch (error) {
+              console.error(error);
+            }
+            return;
+          }
+          return;
+        }
+        let hit = vertexAt(selected, x, y, tolerance);
+        let point = mapToWorld(x, y);
+        let other = scene.shapeAt(point);
+        if (hit !== null) {
+          choosePivot({ vertex: hit });
+        } else if (other && other != selected && !selected.contains(point)) {
+          scene.selected = other;
+          showSpeed();
+        } else {
+          choosePivot({ point });
+        }
+      };
+
+     let pointerEnd = (event) => {
+        if (!pointers.has(event.pointerId)) return;
+        if (event.type == "pointerup" && drag && !drag.moved) {
+          edit();
+          tap(event.offsetX, event.offsetY, event.pointerType == "mouse" ? 8 : 20);
+        }
+        pointers.delete(event.pointerId);
+        drag = null;
+        if (pointers.size < 2) twist = null;
+      };
+     canvasElement.addEventListener("pointerup", pointerEnd);
+     canvasElement.addEventListener("pointercancel", pointerEnd);
+
+     let params = new URLSearchParams(window.location.search);
+     if (params.has("scene")) {
+       //Cena inteira dada por ?scene=arquivo.json; sem smooth no arquivo, fica a suavização atual
+       loadScene(params, scene.smooth)
+         .then((s) => {
+           edit();
+           setScene(s);
+           showSpeed();
+         })
+         .catch((error) => console.error(error));
+     } else {
+       //Polígono dado pela URL (?shape=, ?points= ou ?src=); o quadrado fica em caso de erro
+       polygons
+         .loadPolygon(params)
+         .then(setPolygon)
+         .catch((error) => console.error(error));
+
+       //Estilo dado por ?style=arquivo.json; o padrão fica em caso de erro
+       styles
+         .loadStyle(params)
+         .then(setStyle)
+         .catch((error) => console.error(error));
+     }
+
+     //Sessão gravada dada por ?timeline=arquivo.json, reproduzida desde o início
+     if (params.has("timeline")) {
+       loadTimeline(params)
+         .then((t) => {
+           if (recording) return;
+           timeline = t;
+           seek(0);
+         })
+         .catch((error) => console.error(error));
+     }
+
+     //Exportação de uma volta completa, com os valores limitados ao min e max dos campos
+     let clampedInput = (selector, fallback) => {
+        let input = document.querySelector(selector);
+        let value = Math.round(Number(input.value)) || fallback;
+        return Math.min(Number(input.max), Math.max(Number(input.min), value));
+      };
+     let exportOptions = () => [clampedInput("#frameCount", 36), clampedInput("#exportSize", 400)];
+     document.querySelector("#exportZip").addEventListener("click", () => {
+        download(exportPngZip(...exportOptions()), "revolution.zip", "application/zip");
+      });
+     document.querySelector("#exportGif").addEventListener("click", () => {
+        download(exportGif(...exportOptions()), "revolution.gif", "image/gif");
+      });
+     document.querySelector("#exportSvg").addEventListener("click", () => {
+        download(new TextEncoder().encode(exportSvg()), "frame.svg", "image/svg+xml");
+      });
+
+     //Acrescenta uma forma no centro da janela, girando no sentido oposto ao da anterior
+     let addShape = () => {
+        let k = scene.shapes.length;
+        let { polygon, color } = extraShapes[k % extraShapes.length];
+        let shape = new Shape(polygons.parsePolygon(polygon), {
+          pose: affine.translation(view.center[0] + 0.3 * k, view.center[1] - 0.3 * k),
+          speed: k % 2 ? -90 : 90,
+          style: styles.parseStyle({ fill: { type: "solid", color } }),
+        });
+        scene.add(shape);
+        scene.selected = shape;
+        showSpeed();
+      };
+
+     /**
+      * Executa o comando associado a uma tecla,
+      * vindo do teclado ou da barra de botões.
+      * Os comandos de forma agem sobre a forma selecionada.
+      * @param {String} key tecla (KeyboardEvent.key).
+      * @returns {Boolean} true se a tecla tem um comando.
+      */
+     let handleKey = (key) => {
+        if (!viewKeys.has(key)) edit();
+        let shape = scene.selected;
+        //Atalhos para os quatro primeiros vértices
+        switch (key) {
           case "b":
-            vertice = 4;
+            choosePivot({ vertex: 2 });
             break;
           case "r":
-            vertice = 3;
+            choosePivot({ vertex: 0 });
             break;
           case "g":
-            vertice = 1;
+            choosePivot({ vertex: 1 });
             break;
           case "w":
-            vertice = 5;
+            choosePivot({ vertex: 3 });
+            break;
+          case " ":
+            animation.toggle();
+            break;
+          case "s":
+            animation.step();
+            break;
+          case "d":
+            shape.direction = -shape.direction;
+            break;
+          case "ArrowUp":
+            setSpeed(shape.speed + 15);
+            break;
+          case "ArrowDown":
+            setSpeed(shape.speed - 15);
             break;
+          case "1":
+          case "2":
+          case "3":
+          case "4":
+          case "5":
+          case "6":
+            mode = key;
+            showMode();
+            break;
+          case "]":
+          case "[":
+            if (mode == 6) {
+              //Na reflexão, os colchetes giram a reta
+              mirrorAngle += key == "]" ? 15 : -15;
+            } else {
+              shape.pose = transformAbout(shape.pose, mode, key == "]" ? 1 : -1, shape.pivot);
+              shape.rebase();
+            }
+            break;
+          case "m":
+            shape.pose = transformAbout(shape.pose, 6, 1, shape.pivot);
+            shape.rebase();
+            break;
+          case "0":
+            shape.pose = shape.initialPose;
+            shape.rebase();
+            break;
+          case "n":
+            scene.selectNext();
+            showSpeed();
+            break;
+          case "+":
+            addShape();
+            break;
+          case "-":
+            scene.remove(shape);
+            showSpeed();
+            break;
+          case "k":
+            linking = !linking;
+            showMode();
+            break;
+          case "t":
+            trailMode = trailModes[(trailModes.indexOf(trailMode) + 1) % trailModes.length];
+            for (let s of scene.shapes) s.trail.clear();
+            break;
+          case "c":
+            circles = !circles;
+            break;
+          case "i":
+            scene.setSmooth(!scene.smooth);
+            break;
+          case "a":
+            grid = !grid;
+            break;
+          case "h":
+            hud.hidden = !hud.hidden;
+            break;
+          case "f":
+            factorStep = (factorStep + 1) % 4;
+            break;
+          case "Home":
+            view = new Viewport(view.width, view.height, 5, [0, 0], view.dpr);
+            break;
+          case "x":
+            scene.exact = !scene.exact;
+            break;
+          case "j": {
+            //Um minuto de animação a 60 Hz de uma vez, para o erro acumulado aparecer
+            let start = performance.now();
+            for (let k = 1; k <= 3600; k++) scene.update(1 / 60, start + (k * 1000) / 60);
+            break;
+          }
+          case "o":
+            toggleRecording();
+            break;
+          case "p":
+            togglePlayback();
+            break;
+          default:
+            return false;
         }
+        return true;
+      };
+
+     document.addEventListener("keydown", (event) => {
+        //Não rouba as teclas digitadas nos campos do formulário, nem as
+        //que já acionam o botão com foco
+        if (event.target.closest("input")) return;
+        if (event.target.closest("button") && (event.key == " " || event.key == "Enter")) return;
+        if (handleKey(event.key)) event.preventDefault();
       });
 
-     var runanimation = (() => {
-         var angle = 2.0;
-         return () => {
-             draw(ctx,angle,vertice);
-             requestAnimationFrame(runanimation);
-         };
-     })();
-     runanimation();
+     //Barra de botões com os mesmos comandos do teclado
+     for (let button of document.querySelectorAll("#buttons [data-key]")) {
+        button.addEventListener("click", () => handleKey(button.dataset.key));
+      }
+
+     var runanimation = (time) => {
+         let dt = animation.advance(time);
+         if (playback) {
+           //Reproduz no ritmo da gravação; pausa e passo único valem como ao vivo
+           playback.elapsed += dt * 1000;
+           let k = timeline.frameAt(playback.elapsed);
+           scene = timeline.sceneAt(k);
+           showTimeline(k);
+           if (k == timeline.length - 1) {
+             animation.paused = true;
+             stopPlayback();
+           }
+         } else {
+           let selected = scene.selected;
+           //Enquanto dois dedos giram, o ângulo da forma selecionada vem só do gesto
+           let angles = new Map();
+           if (twist || twistAngle) {
+             angles.set(selected, (twist ? 0 : selected.angularVelocity * dt) + twistAngle);
+           }
+           if (recording) {
+             recording.record(scene, time, dt, angles, changed);
+             showTimeline();
+           }
+           changed = false;
+           scene.update(dt, time, angles);
+         }
+         twistAngle = 0;
+         let selected = scene.selected;
+         let factors = factorPoses(selected.basePose, selected.accumulatedAngle, selected.pivot);
+         if (!hud.hidden) hud.textContent = hudText(selected, factors, factorStep);
+         if (trailMode != "off") {
+           for (let shape of scene.shapes) shape.trail.push(shape.worldVertices());
+         }
+         draw(ctx, scene, {
+           mode,
+           trailMode,
+           circles,
+           grid,
+           factors,
+           factorStep,
+         });
+         requestAnimationFrame(runanimation);
+     };
+     requestAnimationFrame(runanimation);
  }
@@ -0,0 +1,182 @@
+/**
+ *  @file
+ *
+ *  <p>Transformações afins em 2D com matrizes homogêneas 3x3.</p>
+ *
+ *  <p>As matrizes são Float64Array de 9 posições armazenadas por coluna,
+ *  como as mat3 do glMatrix:</p>
+ *  <pre>
+ *  | m[0] m[3] m[6] |
+ *  | m[1] m[4] m[7] |
+ *  | m[2] m[5] m[8] |
+ *  </pre>
+ *
+ *  Pontos são arrays [x, y] e listas de vértices são Float32Array
+ *  com as coordenadas intercaladas [x0, y0, x1, y1, ...].
+ *  As matrizes ficam em precisão dupla porque a pose é acumulada quadro a quadro:
+ *  em Float32Array, o erro de arredondamento de cada produto deformaria a forma
+ *  em poucos minutos de animação.
+ *
+ *  O módulo não depende do DOM e pode ser importado no Node.
+ */
+ "use strict";
+
+ /**
+  * Retorna uma nova matriz identidade.
+  * @returns {Float64Array} matriz identidade.
+  */
+ export function identity() {
+   return new Float64Array([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+ }
+
+ /**
+  * Produto de matrizes a·b, isto é, aplica b e depois a.
+  * @param {Float64Array} a matriz da esquerda.
+  * @param {Float64Array} b matriz da direita.
+  * @returns {Float64Array} nova matriz a·b.
+  */
+ export function multiply(a, b) {
+   const out = new Float64Array(9);
+   for (let col = 0; col < 3; col++) {
+     for (let row = 0; row < 3; row++) {
+       out[col * 3 + row] =
+         a[row] * b[col * 3] +
+         a[3 + row] * b[col * 3 + 1] +
+         a[6 + row] * b[col * 3 + 2];
+     }
+   }
+   return out;
+ }
+
+ /**
+  * Compõe uma sequência de matrizes da esquerda para a direita:
+  * compose(A, B, C) = A·B·C, de forma que C é a primeira a ser aplicada.
+  * @param {...Float64Array} matrices matrizes.
+  * @returns {Float64Array} produto das matrizes.
+  */
+ export function compose(...matrices) {
+   return matrices.reduce((acc, m) => multiply(acc, m), identity());
+ }
+
+ /**
+  * Matriz de translação T(tx, ty).
+  * @param {Number} tx deslocamento em x.
+  * @param {Number} ty deslocamento em y.
+  * @returns {Float64Array} matriz de translação.
+  */
+ export function translation(tx, ty) {
+   return new Float64Array([1, 0, 0, 0, 1, 0, tx, ty, 1]);
+ }
+
+ /**
+  * Matriz de rotação R(θ) em torno da origem,
+  * no sentido anti-horário (eixo y para cima).
+  * @param {Number} angle ângulo em radianos.
+  * @returns {Float64Array} matriz de rotação.
+  */
+ export function rotation(angle) {
+   const c = Math.cos(angle);
+   const s = Math.sin(angle);
+   return new Float64Array([c, s, 0, -s, c, 0, 0, 0, 1]);
+ }
+
+ /**
+  * Matriz de escala S(sx, sy) em relação à origem.
+  * Com sx = sy a escala é uniforme.
+  * @param {Number} sx fator em x.
+  * @param {Number} sy fator em y.
+  * @returns {Float64Array} matriz de escala.
+  */
+ export function scaling(sx, sy = sx) {
+   return new Float64Array([sx, 0, 0, 0, sy, 0, 0, 0, 1]);
+ }
+
+ /**
+  * Matriz de cisalhamento: x' = x + kx·y e y' = y + ky·x.
+  * @param {Number} kx cisalhamento ao longo de x.
+  * @param {Number} ky cisalhamento ao longo de y.
+  * @returns {Float64Array} matriz de cisalhamento.
+  */
+ export function shear(kx, ky) {
+   return new Float64Array([1, ky, 0, kx, 1, 0, 0, 0, 1]);
+ }
+
+ /**
+  * Matriz de reflexão em relação à reta pela origem
+  * que faz o ângulo dado com o eixo x.
+  * @param {Number} angle inclinação da reta em radianos.
+  * @returns {Float64Array} matriz de reflexão.
+  */
+ export function reflection(angle) {
+   const c = Math.cos(2 * angle);
+   const s = Math.sin(2 * angle);
+   return new Float64Array([c, s, 0, s, -c, 0, 0, 0, 1]);
+ }
+
+ /**
+  * Aplica uma transformação m em torno do ponto fixo p,
+  * compondo T(p)·m·T(−p).
+  * @param {Number[]} p ponto fixo.
+  * @param {Float64Array} m transformação em torno da origem.
+  * @returns {Float64Array} transformação em torno de p.
+  */
+ export function aboutPoint([px, py], m) {
+   return compose(translation(px, py), m, translation(-px, -py));
+ }
+
+ /**
+  * Rotação de um ângulo em torno do ponto fixo p: T(p)·R(θ)·T(−p).
+  * @param {Number[]} p ponto fixo.
+  * @param {Number} angle ângulo em radianos.
+  * @returns {Float64Array} matriz da rotação em torno de p.
+  */
+ export function fixedPointRotation(p, angle) {
+   return aboutPoint(p, rotation(angle));
+ }
+
+ /**
+  * Inversa de uma transformação afim.
+  * @param {Float64Array} m matriz afim (última linha 0 0 1).
+  * @returns {Float64Array|null} inversa, ou null se m for singular.
+  */
+ export function invert(m) {
+   const det = m[0] * m[4] - m[3] * m[1];
+   if (det === 0) return null;
+   const a = m[4] / det;
+   const b = -m[1] / det;
+   const c = -m[3] / det;
+   const d = m[0] / det;
+   // prettier-ignore
+   return new Float64Array([
+     a, b, 0,
+     c, d, 0,
+     -(a * m[6] + c * m[7]), -(b * m[6] + d * m[7]), 1,
+   ]);
+ }
+
+ /**
+  * Aplica a matriz m ao ponto p.
+  * @param {Float64Array} m matriz.
+  * @param {Number[]} p ponto.
+  * @returns {Number[]} ponto transformado.
+  */
+ export function transformPoint(m, [x, y]) {
+   return [m[0] * x + m[3] * y + m[6], m[1] * x + m[4] * y + m[7]];
+ }
+
+ /**
+  * Aplica a matriz m a todos os vértices de um array intercalado.
+  * @param {Float64Array} m matriz.
+  * @param {Float32Array} vertices coordenadas [x0, y0, x1, y1, ...].
+  * @returns {Float32Array} novo array com os vértices transformados.
+  */
+ export function transformVertices(m, vertices) {
+   const out = new Float32Array(vertices.length);
+   for (let i = 0; i < vertices.length; i += 2) {
+     const x = vertices[i];
+     const y = vertices[i + 1];
+     out[i] = m[0] * x + m[3] * y + m[6];
+     out[i + 1] = m[1] * x + m[4] * y + m[7];
+   }
+   return out;
+ }
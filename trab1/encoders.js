@@ -0,0 +1,271 @@
+/**
+ *  @file
+ *
+ *  <p>Codificadores mínimos para exportar a animação:
+ *  arquivos zip sem compressão e GIF animado.</p>
+ *
+ *  Ambos trabalham sobre Uint8Array e não dependem do DOM.
+ *
+ *  @see https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ *  @see https://www.w3.org/Graphics/GIF/spec-gif89a.txt
+ */
+ "use strict";
+
+ /**
+  * Tabela do CRC-32 (polinômio 0xEDB88320).
+  * @type {Uint32Array}
+  */
+ const crcTable = (() => {
+   const table = new Uint32Array(256);
+   for (let n = 0; n < 256; n++) {
+     let c = n;
+     for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+     table[n] = c >>> 0;
+   }
+   return table;
+ })();
+
+ /**
+  * CRC-32 de um array de bytes, como usado pelo formato zip.
+  * @param {Uint8Array} bytes dados.
+  * @returns {Number} crc sem sinal.
+  */
+ export function crc32(bytes) {
+   let crc = 0xffffffff;
+   for (let i = 0; i < bytes.length; i++) {
+     crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+   }
+   return (crc ^ 0xffffffff) >>> 0;
+ }
+
+ /**
+  * Gera um arquivo zip com os arquivos dados, armazenados sem compressão
+  * (PNG já é comprimido).
+  * @param {Array<{name: String, data: Uint8Array}>} files arquivos.
+  * @returns {Uint8Array} conteúdo do zip.
+  */
+ export function zip(files) {
+   const encoder = new TextEncoder();
+   const local = [];
+   const central = [];
+   let offset = 0;
+   for (const { name, data } of files) {
+     const nameBytes = encoder.encode(name);
+     const crc = crc32(data);
+
+     const header = new DataView(new ArrayBuffer(30));
+     header.setUint32(0, 0x04034b50, true);
+     header.setUint16(4, 20, true); // versão necessária
+     header.setUint16(8, 0, true); // sem compressão
+     header.setUint16(12, 0x21, true); // 01/01/1980
+     header.setUint32(14, crc, true);
+     header.setUint32(18, data.length, true);
+     header.setUint32(22, data.length, true);
+     header.setUint16(26, nameBytes.length, true);
+     local.push(new Uint8Array(header.buffer), nameBytes, data);
+
+     const entry = new DataView(new ArrayBuffer(46));
+     entry.setUint32(0, 0x02014b50, true);
+     entry.setUint16(4, 20, true);
+     entry.setUint16(6, 20, true);
+     entry.setUint16(14, 0x21, true);
+     entry.setUint32(16, crc, true);
+     entry.setUint32(20, data.length, true);
+     entry.setUint32(24, data.length, true);
+     entry.setUint16(28, nameBytes.length, true);
+     entry.setUint32(42, offset, true);
+     central.push(new Uint8Array(entry.buffer), nameBytes);
+
+     offset += 30 + nameBytes.length + data.length;
+   }
+
+   const centralSize = central.reduce((n, part) => n + part.length, 0);
+   const end = new DataView(new ArrayBuffer(22));
+   end.setUint32(0, 0x06054b50, true);
+   end.setUint16(8, files.length, true);
+   end.setUint16(10, files.length, true);
+   end.setUint32(12, centralSize, true);
+   end.setUint32(16, offset, true);
+
+   return concat([...local, ...central, new Uint8Array(end.buffer)]);
+ }
+
+ /**
+  * Paleta fixa de 256 cores: o cubo 6x6x6 e 40 tons de cinza.
+  * @type {Uint8Array}
+  */
+ const gifPalette = (() => {
+   const palette = new Uint8Array(256 * 3);
+   let i = 0;
+   for (let r = 0; r < 6; r++)
+     for (let g = 0; g < 6; g++)
+       for (let b = 0; b < 6; b++) palette.set([r * 51, g * 51, b * 51], 3 * i++);
+   for (let k = 0; i < 256; k++) {
+     const v = Math.round(((k + 1) * 255) / 41);
+     palette.set([v, v, v], 3 * i++);
+   }
+   return palette;
+ })();
+
+ /**
+  * Índice na paleta fixa da cor mais próxima de (r, g, b):
+  * o vértice mais próximo do cubo ou, se estiver mais perto, o tom de cinza.
+  * @param {Number} r vermelho.
+  * @param {Number} g verde.
+  * @param {Number} b azul.
+  * @returns {Number} índice da paleta.
+  */
+ function paletteIndex(r, g, b) {
+   const [cr, cg, cb] = [r, g, b].map((v) => Math.round(v / 51));
+   const cube = 36 * cr + 6 * cg + cb;
+   const k = Math.min(39, Math.max(0, Math.round(((r + g + b) / 3) * (41 / 255)) - 1));
+   const error = (i) =>
+     (gifPalette[3 * i] - r) ** 2 +
+     (gifPalette[3 * i + 1] - g) ** 2 +
+     (gifPalette[3 * i + 2] - b) ** 2;
+   return error(216 + k) < error(cube) ? 216 + k : cube;
+ }
+
+ /**
+  * Compressão LZW de índices de 8 bits, como especificada pelo GIF.
+  * @param {Uint8Array} indices índices da paleta.
+  * @returns {Uint8Array} códigos empacotados do bit menos significativo para o mais.
+  */
+ function lzw(indices) {
+   const minCodeSize = 8;
+   const clearCode = 1 << minCodeSize;
+   const endCode = clearCode + 1;
+   const out = [];
+   let buffer = 0;
+   let bits = 0;
+   let codeSize = minCodeSize + 1;
+   let nextCode = endCode + 1;
+   let table = new Map();
+
+   const emit = (code) => {
+     buffer |= code << bits;
+     bits += codeSize;
+     while (bits >= 8) {
+       out.push(buffer & 0xff);
+       buffer >>>= 8;
+       bits -= 8;
+     }
+   };
+
+   emit(clearCode);
+   let current = indices[0];
+   for (let i = 1; i < indices.length; i++) {
+     const k = indices[i];
+     const key = (current << 8) | k;
+     const code = table.get(key);
+     if (code !== undefined) {
+       current = code;
+       continue;
+     }
+     emit(current);
+     if (nextCode == 4096) {
+       emit(clearCode);
+       table = new Map();
+       codeSize = minCodeSize + 1;
+       nextCode = endCode + 1;
+     } else {
+       if (nextCode >= 1 << codeSize) codeSize++;
+       table.set(key, nextCode++);
+     }
+     current = k;
+   }
+   emit(current);
+   emit(endCode);
+   if (bits > 0) out.push(buffer & 0xff);
+   return new Uint8Array(out);
+ }
+
+ /**
+  * <p>Codificador incremental de GIF animado em laço infinito.</p>
+  *
+  * Cada quadro é quantizado e comprimido assim que é acrescentado,
+  * de forma que só os bytes já comprimidos ficam na memória, e não os pixels
+  * de todos os quadros.
+  * @class
+  */
+ export class GifEncoder {
+   /**
+    * @constructs GifEncoder
+    * @param {Number} width largura.
+    * @param {Number} height altura.
+    * @param {Number} delay intervalo entre quadros em centésimos de segundo.
+    */
+   constructor(width, height, delay = 4) {
+     this.width = width;
+     this.height = height;
+     this.delay = delay;
+     /** Partes do arquivo já codificadas. */
+     this.parts = [];
+     this.parts.push(new TextEncoder().encode("GIF89a"));
+     // Descritor da tela com tabela global de 256 cores
+     this.bytes(...word(width), ...word(height), 0xf7, 0, 0);
+     this.parts.push(gifPalette);
+     // Extensão NETSCAPE2.0: repetir para sempre
+     this.bytes(0x21, 0xff, 0x0b);
+     this.parts.push(new TextEncoder().encode("NETSCAPE2.0"));
+     this.bytes(0x03, 0x01, 0, 0, 0);
+   }
+
+   //Acrescenta bytes avulsos
+   bytes(...values) {
+     this.parts.push(new Uint8Array(values));
+   }
+
+   /**
+    * Codifica um quadro.
+    * @param {Uint8ClampedArray} rgba pixels RGBA do quadro (ImageData.data).
+    */
+   addFrame(rgba) {
+     const { width, height } = this;
+     const indices = new Uint8Array(width * height);
+     for (let i = 0; i < indices.length; i++) {
+       indices[i] = paletteIndex(rgba[4 * i], rgba[4 * i + 1], rgba[4 * i + 2]);
+     }
+     // Controle gráfico: intervalo do quadro
+     this.bytes(0x21, 0xf9, 0x04, 0x04, ...word(this.delay), 0, 0);
+     // Descritor da imagem, ocupando a tela toda
+     this.bytes(0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0);
+     this.bytes(8);
+     const data = lzw(indices);
+     for (let i = 0; i < data.length; i += 255) {
+       const block = data.subarray(i, i + 255);
+       this.bytes(block.length);
+       this.parts.push(block);
+     }
+     this.bytes(0);
+   }
+
+   /**
+    * Termina o arquivo.
+    * @returns {Uint8Array} conteúdo do GIF.
+    */
+   finish() {
+     this.bytes(0x3b);
+     return concat(this.parts);
+   }
+ }
+
+ //Inteiro de 16 bits little-endian
+ function word(v) {
+   return [v & 0xff, (v >> 8) & 0xff];
+ }
+
+ /**
+  * Concatena arrays de bytes.
+  * @param {Array<Uint8Array>} parts partes.
+  * @returns {Uint8Array} bytes concatenados.
+  */
+ function concat(parts) {
+   const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+   let offset = 0;
+   for (const part of parts) {
+     out.set(part, offset);
+     offset += part.length;
+   }
+   return out;
+ }
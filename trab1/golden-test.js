@@ -0,0 +1,109 @@
+/**
+ *  @file
+ *
+ *  <p>Testes de regressão de RotatingSquare fora do navegador.</p>
+ *
+ *  <ul>
+ *   <li>Cada cena de goldenCases é desenhada num contexto de gravação e a lista
+ *   de chamadas é comparada com golden/&lt;nome&gt;.json;</li>
+ *   <li>se houver um canvas para o Node (@napi-rs/canvas ou canvas), a cena também
+ *   é desenhada em pixels e comparada com golden/&lt;nome&gt;.png; sem ele,
+ *   esses testes são pulados.</li>
+ *  </ul>
+ *
+ *  <pre>
+ *  Node 22.12 ou mais recente:
+ *    node trab1/golden-test.js
+ *  Node 20:
+ *    node --experimental-default-type=module trab1/golden-test.js
+ *  Para regravar as referências depois de uma mudança intencional no desenho:
+ *    node trab1/golden-test.js --update
+ *  </pre>
+ */
+ "use strict";
+
+ import { test } from "node:test";
+ import assert from "node:assert/strict";
+ import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+ import {
+   createRecordingContext,
+   goldenCases,
+   renderGoldenCase,
+   compareImageData,
+ } from "./headless.js";
+
+ /** Resolução das cenas de referência, em pixels. */
+ const size = 200;
+
+ /** Pasta das referências. */
+ const goldenDir = new URL("./golden/", import.meta.url);
+
+ /** Regrava as referências em vez de compará-las. */
+ const update = process.argv.includes("--update");
+
+ /**
+  * Carrega o primeiro canvas para o Node disponível.
+  * @returns {Promise<Object|null>} módulo com createCanvas e loadImage, ou null.
+  */
+ async function loadCanvasModule() {
+   for (const name of ["@napi-rs/canvas", "canvas"]) {
+     try {
+       return await import(name);
+     } catch (error) {
+       //Não instalado, tenta o próximo
+     }
+   }
+   return null;
+ }
+
+ //Uma chamada por linha, para que as diferenças fiquem legíveis
+ function formatCalls(calls) {
+   return "[\n" + calls.map((call) => "  " + JSON.stringify(call)).join(",\n") + "\n]\n";
+ }
+
+ const canvasModule = await loadCanvasModule();
+ if (update) mkdirSync(goldenDir, { recursive: true });
+
+ for (const goldenCase of goldenCases) {
+   const snapshot = new URL(`${goldenCase.name}.json`, goldenDir);
+   const image = new URL(`${goldenCase.name}.png`, goldenDir);
+
+   test(`${goldenCase.name}: chamadas do contexto`, () => {
+     const ctx = createRecordingContext(size, size);
+     renderGoldenCase(ctx, goldenCase, size);
+     //Passa pelo JSON para comparar os gradientes pelos seus dados
+     const calls = JSON.parse(JSON.stringify(ctx.calls));
+     if (update) {
+       writeFileSync(snapshot, formatCalls(calls));
+       return;
+     }
+     assert.deepEqual(calls, JSON.parse(readFileSync(snapshot, "utf8")));
+   });
+
+   test(
+     `${goldenCase.name}: pixels`,
+     { skip: !canvasModule && "sem @napi-rs/canvas nem canvas" },
+     async () => {
+       const { createCanvas, loadImage } = canvasModule;
+       const canvas = createCanvas(size, size);
+       const ctx = canvas.getContext("2d");
+       renderGoldenCase(ctx, goldenCase, size);
+       if (update) {
+         writeFileSync(image, canvas.toBuffer("image/png"));
+         return;
+       }
+       const reference = createCanvas(size, size);
+       const refCtx = reference.getContext("2d");
+       refCtx.drawImage(await loadImage(readFileSync(image)), 0, 0);
+       const result = compareImageData(
+         ctx.getImageData(0, 0, size, size),
+         refCtx.getImageData(0, 0, size, size)
+       );
+       assert.ok(
+         result.pass,
+         `${result.mismatched} pixels diferentes (${(result.ratio * 100).toFixed(2)}%), ` +
+           `diferença máxima ${result.maxDelta}`
+       );
+     }
+   );
+ }
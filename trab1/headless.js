@@ -0,0 +1,177 @@
+/**
+ *  @file
+ *
+ *  <p>Desenho de RotatingSquare fora do navegador, para testes de regressão.</p>
+ *
+ *  <ul>
+ *   <li>createRecordingContext: um contexto 2D que apenas grava as chamadas
+ *   e as atribuições de estilo, comparáveis como JSON;</li>
+ *   <li>goldenCases e renderGoldenCase: cenas fixas (polígono, ângulo e ponto fixo)
+ *   desenhadas sempre da mesma forma;</li>
+ *   <li>compareImageData: comparação pixel a pixel com uma tolerância.</li>
+ *  </ul>
+ *
+ *  <pre>
+ *  Com o @napi-rs/canvas ou o node-canvas, por exemplo:
+ *    const canvas = createCanvas(200, 200);
+ *    renderGoldenCase(canvas.getContext("2d"), goldenCases[0]);
+ *    const reference = await loadImage("golden/square-0.png");
+ *  golden-test.js compara as chamadas e, se houver um desses canvas, os pixels
+ *  com as referências da pasta golden; no navegador, golden.html compara os pixels.
+ *  </pre>
+ */
+ "use strict";
+
+ import * as affine from "./affine2d.js";
+ import * as polygons from "./polygons.js";
+ import { Viewport } from "./viewport.js";
+ import { Scene, Shape } from "./scene.js";
+ import { render, rotateAbout } from "./RotatingSquare.js";
+
+ /**
+  * Métodos do contexto 2D que são gravados.
+  * @type {Array<String>}
+  */
+ const recordedMethods = [
+   "save", "restore", "setTransform", "resetTransform", "translate", "rotate", "scale",
+   "beginPath", "closePath", "moveTo", "lineTo", "arc", "ellipse", "rect",
+   "fill", "stroke", "fillRect", "strokeRect", "clearRect", "fillText", "strokeText",
+   "setLineDash",
+ ];
+
+ /**
+  * Propriedades de estado do contexto 2D cujas atribuições são gravadas.
+  * @type {Array<String>}
+  */
+ const recordedProperties = [
+   "fillStyle", "strokeStyle", "lineWidth", "globalAlpha", "font",
+   "textAlign", "textBaseline", "lineCap", "lineJoin",
+ ];
+
+ //Arredonda números para que a gravação não dependa da última casa decimal
+ function normalize(value) {
+   if (typeof value == "number") return Math.round(value * 1e6) / 1e6;
+   if (Array.isArray(value)) return value.map(normalize);
+   if (value && value.toJSON) return value.toJSON();
+   return value;
+ }
+
+ /**
+  * Gradiente gravado: guarda os argumentos e as paradas de cor.
+  * @class
+  */
+ class RecordedGradient {
+   /**
+    * @constructs RecordedGradient
+    * @param {String} type "linear" ou "radial".
+    * @param {Array<Number>} args argumentos da criação.
+    */
+   constructor(type, args) {
+     this.type = type;
+     this.args = normalize(args);
+     this.stops = [];
+   }
+
+   /**
+    * @param {Number} offset posição da cor.
+    * @param {String} color cor.
+    */
+   addColorStop(offset, color) {
+     this.stops.push([normalize(offset), color]);
+   }
+
+   toJSON() {
+     return { type: this.type, args: this.args, stops: this.stops };
+   }
+ }
+
+ /**
+  * <p>Cria um contexto 2D que grava, em calls, cada chamada como
+  * [nome, ...argumentos] e cada atribuição como [propriedade, "=", valor].</p>
+  *
+  * Não desenha nada: serve para verificar a sequência de comandos de draw
+  * sem um canvas de verdade.
+  * @param {Number} width largura do canvas simulado.
+  * @param {Number} height altura do canvas simulado.
+  * @returns {Object} contexto com a lista calls.
+  */
+ export function createRecordingContext(width = 400, height = 400) {
+   const ctx = { canvas: { width, height }, calls: [] };
+   const state = {};
+   for (const name of recordedMethods) {
+     ctx[name] = (...args) => {
+       ctx.calls.push([name, ...normalize(args)]);
+     };
+   }
+   for (const name of recordedProperties) {
+     Object.defineProperty(ctx, name, {
+       get: () => state[name],
+       set: (value) => {
+         state[name] = value;
+         ctx.calls.push([name, "=", normalize(value)]);
+       },
+     });
+   }
+   ctx.createLinearGradient = (...args) => new RecordedGradient("linear", args);
+   ctx.createRadialGradient = (...args) => new RecordedGradient("radial", args);
+   ctx.measureText = (text) => ({ width: String(text).length * 6 });
+   return ctx;
+ }
+
+ /**
+  * Cenas de referência: polígono, ângulo em graus a partir da pose inicial,
+  * ponto fixo e opções de draw.
+  * @type {Array<{name: String, shape: Object, angle: Number, pivot: Number[], options: Object}>}
+  */
+ export const goldenCases = [
+   { name: "square-0", shape: { shape: "square" }, angle: 0, pivot: [-0.5, -0.5], options: {} },
+   { name: "square-45-center", shape: { shape: "square" }, angle: 45, pivot: [0, 0], options: {} },
+   { name: "square-120-outside", shape: { shape: "square" }, angle: 120, pivot: [1, 0], options: {} },
+   { name: "hexagon-30", shape: { shape: "ngon", n: 6 }, angle: 30, pivot: [0.5, 0], options: {} },
+   { name: "star-72-grid", shape: { shape: "star", n: 5 }, angle: 72, pivot: [0, 0], options: { grid: true } },
+ ];
+
+ /**
+  * Desenha uma cena de referência num contexto de size x size pixels.
+  * @param {CanvasRenderingContext2D} ctx contexto de destino.
+  * @param {Object} goldenCase elemento de goldenCases.
+  * @param {Number} size resolução em pixels.
+  */
+ export function renderGoldenCase(ctx, goldenCase, size = 200) {
+   const { shape, angle, pivot, options } = goldenCase;
+   const polygon = new Shape(polygons.parsePolygon(shape), {
+     pose: rotateAbout(affine.identity(), angle, pivot),
+   });
+   polygon.pivot = pivot;
+   render(ctx, { scene: new Scene([polygon]), view: new Viewport(size, size) }, options);
+ }
+
+ /**
+  * <p>Compara duas imagens RGBA do mesmo tamanho.</p>
+  *
+  * Um pixel difere se algum canal difere mais do que tolerance.
+  * A antisserrilhagem varia entre navegadores, por isso a comparação aceita
+  * também uma fração máxima de pixels diferentes.
+  * @param {ImageData} actual imagem desenhada.
+  * @param {ImageData} expected imagem de referência.
+  * @param {Number} tolerance diferença máxima por canal.
+  * @param {Number} maxRatio fração máxima de pixels diferentes.
+  * @returns {{pass: Boolean, mismatched: Number, ratio: Number, maxDelta: Number}} resultado.
+  */
+ export function compareImageData(actual, expected, tolerance = 8, maxRatio = 0.002) {
+   if (actual.width != expected.width || actual.height != expected.height) {
+     return { pass: false, mismatched: Infinity, ratio: 1, maxDelta: 255 };
+   }
+   const a = actual.data;
+   const b = expected.data;
+   let mismatched = 0;
+   let maxDelta = 0;
+   for (let i = 0; i < a.length; i += 4) {
+     let delta = 0;
+     for (let c = 0; c < 4; c++) delta = Math.max(delta, Math.abs(a[i + c] - b[i + c]));
+     maxDelta = Math.max(maxDelta, delta);
+     if (delta > tolerance) mismatched++;
+   }
+   const ratio = mismatched / (a.length / 4);
+   return { pass: ratio <= maxRatio, mismatched, ratio, maxDelta };
+ }
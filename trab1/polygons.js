@@ -0,0 +1,141 @@
+/**
+ *  @file
+ *
+ *  <p>Polígonos simples usados em RotatingSquare.</p>
+ *
+ *  Um polígono é um Float32Array com as coordenadas intercaladas
+ *  [x0, y0, x1, y1, ...] dos vértices na ordem do contorno,
+ *  sem repetir o primeiro vértice no final.
+ */
+ "use strict";
+
+ /**
+  * Quadrado de lado 1 centrado na origem.
+  * @returns {Float32Array} vértices.
+  */
+ export function square() {
+   return new Float32Array([-0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, 0.5]);
+ }
+
+ /**
+  * Polígono regular de n lados inscrito num círculo de raio r,
+  * com o primeiro vértice para baixo, à esquerda, como no quadrado.
+  * @param {Number} n número de lados (pelo menos 3).
+  * @param {Number} r raio.
+  * @returns {Float32Array} vértices.
+  */
+ export function regularPolygon(n, r = Math.SQRT1_2) {
+   const points = [];
+   for (let i = 0; i < n; i++) {
+     const a = (-3 * Math.PI) / 4 + (2 * Math.PI * i) / n;
+     points.push([r * Math.cos(a), r * Math.sin(a)]);
+   }
+   return fromPoints(points);
+ }
+
+ /**
+  * Estrela de n pontas, alternando os raios externo e interno.
+  * @param {Number} n número de pontas (pelo menos 2).
+  * @param {Number} outer raio das pontas.
+  * @param {Number} inner raio das reentrâncias.
+  * @returns {Float32Array} vértices.
+  */
+ export function star(n, outer = 0.8, inner = 0.35) {
+   const points = [];
+   for (let i = 0; i < 2 * n; i++) {
+     const r = i % 2 == 0 ? outer : inner;
+     const a = Math.PI / 2 + (Math.PI * i) / n;
+     points.push([r * Math.cos(a), r * Math.sin(a)]);
+   }
+   return fromPoints(points);
+ }
+
+ /**
+  * Verifica se value é um ponto [x, y] com coordenadas finitas.
+  * @param {*} value valor lido do JSON.
+  * @returns {Boolean} true se for um ponto.
+  */
+ export function isPoint(value) {
+   return Array.isArray(value) && value.length == 2 && value.every(Number.isFinite);
+ }
+
+ /**
+  * Converte um array de pontos [[x, y], ...] em vértices.
+  * @param {Array<Number[]>} points pontos do contorno.
+  * @returns {Float32Array} vértices.
+  * @throws {Error} se houver menos de três pontos ou coordenadas inválidas.
+  */
+ export function fromPoints(points) {
+   if (!Array.isArray(points) || points.length < 3) {
+     throw new Error("A polygon needs at least 3 points");
+   }
+   const vertices = new Float32Array(points.length * 2);
+   points.forEach((p, i) => {
+     if (!isPoint(p)) {
+       throw new Error(`Invalid point at index ${i}: ${JSON.stringify(p)}`);
+     }
+     vertices[2 * i] = p[0];
+     vertices[2 * i + 1] = p[1];
+   });
+   return vertices;
+ }
+
+ /**
+  * Lê um polígono de um objeto JSON, que pode ser um array de pontos
+  * ou uma descrição { shape, n, points }.
+  * @param {Object|Array<Number[]>} data descrição do polígono.
+  * @returns {Float32Array} vértices.
+  * @throws {Error} se a descrição for inválida.
+  */
+ export function parsePolygon(data) {
+   if (Array.isArray(data)) return fromPoints(data);
+   switch (data.shape) {
+     case "square":
+       return square();
+     case "ngon":
+       return regularPolygon(Math.max(3, Number(data.n) || 6));
+     case "star":
+       return star(Math.max(2, Number(data.n) || 5));
+     default:
+       if (data.points) return fromPoints(data.points);
+       throw new Error(`Unknown shape: ${data.shape}`);
+   }
+ }
+
+ /**
+  * Busca e decodifica um arquivo JSON.
+  * @param {String} url endereço do arquivo.
+  * @returns {Promise<*>} conteúdo decodificado.
+  * @throws {Error} se a resposta não for bem-sucedida.
+  */
+ export async function fetchJson(url) {
+   const response = await fetch(url);
+   if (!response.ok) {
+     throw new Error(`Could not load ${url}: ${response.status}`);
+   }
+   return response.json();
+ }
+
+ /**
+  * <p>Carrega o polígono descrito pelos parâmetros da URL:</p>
+  * <ul>
+  *  <li>?shape=square | ngon | star, com &n= lados ou pontas,</li>
+  *  <li>?points=[[x0,y0],[x1,y1],...] com a lista de pontos em JSON,</li>
+  *  <li>?src=arquivo.json com um arquivo no formato de parsePolygon.</li>
+  * </ul>
+  * Sem parâmetros, retorna o quadrado.
+  * @param {URLSearchParams} params parâmetros da URL.
+  * @returns {Promise<Float32Array>} vértices.
+  */
+ export async function loadPolygon(params) {
+   if (params.has("src")) {
+     return parsePolygon(await fetchJson(params.get("src")));
+   }
+   if (params.has("points")) {
+     return fromPoints(JSON.parse(params.get("points")));
+   }
+   return parsePolygon({
+     shape: params.get("shape") || "square",
+     n: params.get("n"),
+   });
+ }
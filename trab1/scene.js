@@ -0,0 +1,620 @@
+/**
+ *  @file
+ *
+ *  <p>Cena de RotatingSquare: vários polígonos, cada um girando em torno
+ *  do seu próprio ponto fixo, com a sua velocidade angular e o seu estilo.</p>
+ *
+ *  O ponto fixo de uma forma pode ficar preso a um vértice de outra.
+ *  A forma é então carregada por esse vértice enquanto gira em torno dele,
+ *  como numa engrenagem ou num braço articulado.
+ *
+ *  <pre>
+ *  {
+ *    "background": "white",
+ *    "shapes": [
+ *      { "polygon": { "shape": "ngon", "n": 6 }, "position": [0, 0], "speed": 60 },
+ *      { "polygon": { "shape": "square" }, "position": [1, 0], "speed": -180,
+ *        "pivot": 2, "style": { ... }, "attach": { "shape": 0, "vertex": 1 } }
+ *    ]
+ *  }
+ *  </pre>
+ *
+ *  "polygon" segue o formato de polygons.parsePolygon e "style" o de styles.parseStyle.
+ *  A velocidade é dada em graus por segundo, negativa no sentido horário.
+ *  "pivot" é o índice de um vértice ou um ponto do mundo.
+ */
+ "use strict";
+
+ import * as affine from "./affine2d.js";
+ import * as polygons from "./polygons.js";
+ import * as styles from "./styles.js";
+
+ /**
+  * Guarda as últimas posições no mundo de todos os vértices,
+  * para desenhar o rastro deixado pela rotação.
+  * @class
+  */
+ export class Trail {
+   /**
+    * @constructs Trail
+    * @param {Number} length número máximo de quadros guardados.
+    */
+   constructor(length = 90) {
+     /** Número máximo de quadros guardados. */
+     this.length = length;
+     /** Vértices no mundo de cada quadro, do mais antigo ao mais recente. */
+     this.frames = [];
+   }
+
+   /**
+    * Acrescenta os vértices de um quadro, descartando o mais antigo se preciso.
+    * Se o número de vértices mudou, o rastro anterior é descartado;
+    * uma forma parada não acrescenta cópias repetidas da mesma pose.
+    * @param {Float32Array} points vértices no mundo.
+    */
+   push(points) {
+     if (this.frames.length && this.frames[0].length != points.length) this.clear();
+     const last = this.frames[this.frames.length - 1];
+     if (last && last.every((v, i) => v == points[i])) return;
+     this.frames.push(points);
+     if (this.frames.length > this.length) this.frames.shift();
+   }
+
+   /** Apaga o rastro. */
+   clear() {
+     this.frames = [];
+   }
+ }
+
+ /**
+  * <p>Transição suave do ponto fixo entre o antigo e o novo destino.</p>
+  *
+  * Durante a transição o polígono gira em torno do ponto interpolado,
+  * e como a pose é acumulada quadro a quadro, trocar o ponto fixo nunca
+  * altera a pose corrente: o movimento continua sem saltos.
+  * @class
+  */
+ export class PivotTransition {
+   /**
+    * @constructs PivotTransition
+    * @param {Number} duration duração em ms.
+    */
+   constructor(duration = 400) {
+     /** Duração em ms. */
+     this.duration = duration;
+     /** Interpolar ou trocar instantaneamente. */
+     this.enabled = true;
+     /** Ponto fixo no início da transição, ou null se não há transição. */
+     this.from = null;
+     /** Instante do início da transição, em ms. */
+     this.start = 0;
+   }
+
+   /**
+    * Começa uma transição a partir do ponto fixo dado.
+    * @param {Number[]} from ponto fixo atual.
+    * @param {DOMHighResTimeStamp} time instante atual.
+    */
+   begin(from, time) {
+     this.from = this.enabled ? from.slice() : null;
+     this.start = time;
+   }
+
+   /**
+    * Ponto fixo no instante dado, interpolado com suavização
+    * entre a origem e o destino.
+    * @param {Number[]} target destino.
+    * @param {DOMHighResTimeStamp} time instante atual.
+    * @returns {Number[]} ponto fixo.
+    */
+   current(target, time) {
+     if (!this.from) return target;
+     let t = (time - this.start) / this.duration;
+     if (t >= 1) {
+       this.from = null;
+       return target;
+     }
+     t = Math.max(0, t);
+     const s = t * t * (3 - 2 * t);
+     return [
+       this.from[0] + s * (target[0] - this.from[0]),
+       this.from[1] + s * (target[1] - this.from[1]),
+     ];
+   }
+ }
+
+ /**
+  * Polígono da cena com a sua pose, ponto fixo, velocidade angular e estilo.
+  * @class
+  */
+ export class Shape {
+   /**
+    * @constructs Shape
+    * @param {Float32Array} vertices contorno do polígono.
+    * @param {Object} options pose inicial (pose), velocidade em graus por segundo
+    * (speed, negativa no sentido horário) e estilo (style).
+    */
+   constructor(vertices, options = {}) {
+     /** Contorno do polígono, um vértice por par de coordenadas. */
+     this.vertices = vertices;
+     /** Pose restaurada pela tecla "0". */
+     this.initialPose = options.pose || affine.identity();
+     /** Pose da forma no mundo (matriz 3x3). */
+     this.pose = this.initialPose;
+     /**
+      * Pose quando o ponto fixo foi escolhido e ângulo acumulado desde então (graus),
+      * de forma que pose = T(p)·R(θ)·T(−p)·basePose.
+      */
+     this.basePose = this.pose;
+     this.accumulatedAngle = 0;
+     /** Destino do ponto fixo: um vértice, que acompanha a pose, ou um ponto do mundo. */
+     this.pivotTarget = { vertex: 0 };
+     /** Ponto fixo em coordenadas do mundo. */
+     this.pivot = this.worldVertex(0);
+     /** Vértice de outra forma ao qual o ponto fixo está preso, ou null. */
+     this.attachment = null;
+     const speed = options.speed ?? 120;
+     /** Velocidade angular em graus por segundo (não negativa). */
+     this.speed = Math.abs(speed);
+     /** Sentido da rotação: 1 anti-horário, -1 horário. */
+     this.direction = speed < 0 ? -1 : 1;
+     /** Estilo de desenho: preenchimento, contorno e cores dos vértices. */
+     this.style = options.style || styles.defaultStyle();
+     this.transition = new PivotTransition();
+     this.trail = new Trail();
+   }
+
+   /**
+    * Número de vértices.
+    * @type {Number}
+    */
+   get numPoints() {
+     return this.vertices.length / 2;
+   }
+
+   /**
+    * Velocidade angular com sinal, em graus por segundo.
+    * @type {Number}
+    */
+   get angularVelocity() {
+     return this.direction * this.speed;
+   }
+
+   /**
+    * Vértices no mundo, isto é, vertices transformado pela pose.
+    * @param {Float64Array} m pose.
+    * @returns {Float32Array} coordenadas [x0, y0, x1, y1, ...] no mundo.
+    */
+   worldVertices(m = this.pose) {
+     return affine.transformVertices(m, this.vertices);
+   }
+
+   /**
+    * Um vértice no mundo na pose corrente.
+    * @param {Number} i índice do vértice (tomado em ciclo).
+    * @returns {Number[]} ponto.
+    */
+   worldVertex(i) {
+     const j = (i % this.numPoints) * 2;
+     return affine.transformPoint(this.pose, [this.vertices[j], this.vertices[j + 1]]);
+   }
+
+   /**
+    * Troca o contorno, voltando à pose inicial com o ponto fixo no primeiro vértice.
+    * @param {Float32Array} vertices vértices do novo polígono.
+    */
+   setVertices(vertices) {
+     this.vertices = vertices;
+     this.pose = this.initialPose;
+     this.pivotTarget = { vertex: 0 };
+     this.pivot = this.worldVertex(0);
+     this.trail.clear();
+     this.rebase();
+   }
+
+   /**
+    * Recomeça a decomposição da pose a partir da pose corrente,
+    * quando o ponto fixo muda ou outra transformação é aplicada.
+    */
+   rebase() {
+     this.basePose = this.pose;
+     this.accumulatedAngle = 0;
+   }
+
+   /**
+    * Posição no mundo do destino do ponto fixo.
+    * @returns {Number[]} ponto.
+    */
+   targetPoint() {
+     if (this.attachment) {
+       return this.attachment.shape.worldVertex(this.attachment.vertex);
+     }
+     if (this.pivotTarget.vertex === undefined) return this.pivotTarget.point;
+     return this.worldVertex(this.pivotTarget.vertex);
+   }
+
+   /**
+    * Escolhe um novo ponto fixo, soltando a forma se estava presa a outra.
+    * @param {{vertex: Number}|{point: Number[]}} target vértice ou ponto do mundo.
+    * @param {DOMHighResTimeStamp} time instante atual, para a transição.
+    */
+   choosePivot(target, time) {
+     this.transition.begin(this.pivot, time);
+     this.attachment = null;
+     this.pivotTarget = target;
+   }
+
+   /**
+    * <p>Avança a forma de um quadro.</p>
+    *
+    * Presa a outra forma, a pose é transladada junto com o vértice,
+    * o que preserva a decomposição T(p)·R(θ)·T(−p)·basePose;
+    * livre, o ponto fixo segue o seu destino e, quando muda, a decomposição recomeça.
+    *
+    * Em seguida a pose gira em torno do ponto fixo. No modo incremental, a rotação
+    * do quadro é composta com a pose anterior e os erros de arredondamento se acumulam;
+    * no modo exato, a pose é recalculada a partir de basePose com o ângulo
+    * acumulado módulo 360°, e o erro não cresce com o tempo.
+    * @param {Number} angle ângulo do quadro em graus.
+    * @param {DOMHighResTimeStamp} time instante atual.
+    * @param {Boolean} exact recalcular a pose a partir do ângulo absoluto.
+    */
+   advance(angle, time, exact = false) {
+     const previous = this.pivot;
+     this.pivot = this.transition.current(this.targetPoint(), time);
+     if (this.attachment) {
+       const d = affine.translation(this.pivot[0] - previous[0], this.pivot[1] - previous[1]);
+       this.pose = affine.multiply(d, this.pose);
+       this.basePose = affine.multiply(d, this.basePose);
+     } else {
+       //Alcançado o vértice escolhido, o ponto fixo fica parado no mundo
+       if (!this.transition.from) this.pivotTarget = { point: this.pivot };
+       if (this.pivot[0] != previous[0] || this.pivot[1] != previous[1]) this.rebase();
+     }
+     this.accumulatedAngle += angle;
+     if (exact) {
+       const theta = ((this.accumulatedAngle % 360) * Math.PI) / 180;
+       this.pose = affine.multiply(affine.fixedPointRotation(this.pivot, theta), this.basePose);
+     } else {
+       this.pose = affine.multiply(
+         affine.fixedPointRotation(this.pivot, (angle * Math.PI) / 180),
+         this.pose
+       );
+     }
+   }
+
+   /**
+    * <p>Deslocamento medido do ponto fixo, em unidades do mundo.</p>
+    *
+    * O ponto do polígono que estava sob o ponto fixo quando a decomposição
+    * recomeçou é basePose⁻¹·p; sem erros de arredondamento, pose o leva de volta a p.
+    * Com as matrizes em precisão dupla, a própria medida erra em torno de 1e-15,
+    * de forma que, no modo exato, o valor fica nesse patamar.
+    * NaN se basePose não é inversível.
+    * @type {Number}
+    */
+   get drift() {
+     const inverse = affine.invert(this.basePose);
+     if (!inverse) return NaN;
+     const anchor = affine.transformPoint(inverse, this.pivot);
+     const [x, y] = affine.transformPoint(this.pose, anchor);
+     return Math.hypot(x - this.pivot[0], y - this.pivot[1]);
+   }
+
+   /**
+    * Verifica se um ponto do mundo está dentro do polígono (regra par-ímpar).
+    * @param {Number[]} p ponto.
+    * @returns {Boolean} true se está dentro.
+    */
+   contains([x, y]) {
+     const points = this.worldVertices();
+     const n = this.numPoints;
+     let inside = false;
+     for (let i = 0, j = n - 1; i < n; j = i++) {
+       const [xi, yi] = [points[2 * i], points[2 * i + 1]];
+       const [xj, yj] = [points[2 * j], points[2 * j + 1]];
+       if (yi > y != yj > y && x < xj + ((y - yj) * (xi - xj)) / (yi - yj)) {
+         inside = !inside;
+       }
+     }
+     return inside;
+   }
+
+   /**
+    * Cópia independente, sem o rastro e sem a ligação com outra forma.
+    * @returns {Shape} cópia.
+    */
+   clone() {
+     const copy = new Shape(this.vertices, { pose: this.initialPose, style: this.style });
+     Object.assign(copy, {
+       pose: this.pose,
+       basePose: this.basePose,
+       accumulatedAngle: this.accumulatedAngle,
+       pivotTarget: { ...this.pivotTarget },
+       pivot: this.pivot.slice(),
+       speed: this.speed,
+       direction: this.direction,
+     });
+     Object.assign(copy.transition, this.transition);
+     return copy;
+   }
+ }
+
+ /**
+  * Conjunto de formas desenhadas juntas, uma delas selecionada.
+  * @class
+  */
+ export class Scene {
+   /**
+    * @constructs Scene
+    * @param {Array<Shape>} shapes formas, na ordem de desenho.
+    */
+   constructor(shapes = []) {
+     /** Formas, na ordem de desenho. */
+     this.shapes = [];
+     /** Forma que recebe os comandos do teclado. */
+     this.selected = null;
+     /** Cor de fundo. */
+     this.background = styles.defaultStyle().background;
+     /** Trocas de ponto fixo suaves ou instantâneas, para todas as formas. */
+     this.smooth = true;
+     /** Recalcular as poses a partir do ângulo absoluto (modo exato) ou acumular rotações. */
+     this.exact = false;
+     shapes.forEach((shape) => this.add(shape));
+   }
+
+   /**
+    * Acrescenta uma forma; a primeira fica selecionada.
+    * @param {Shape} shape forma.
+    * @returns {Shape} a mesma forma.
+    */
+   add(shape) {
+     shape.transition.enabled = this.smooth;
+     this.shapes.push(shape);
+     if (!this.selected) this.selected = shape;
+     return shape;
+   }
+
+   /**
+    * Remove uma forma. As formas presas a ela ficam paradas onde estão.
+    * A última forma não pode ser removida.
+    * @param {Shape} shape forma.
+    */
+   remove(shape) {
+     if (this.shapes.length < 2) return;
+     for (const other of this.shapes) {
+       if (other.attachment && other.attachment.shape == shape) {
+         other.attachment = null;
+         other.pivotTarget = { point: other.pivot };
+       }
+     }
+     const i = this.shapes.indexOf(shape);
+     this.shapes.splice(i, 1);
+     if (this.selected == shape) this.selected = this.shapes[i % this.shapes.length];
+   }
+
+   /** Seleciona a forma seguinte, em ciclo. */
+   selectNext() {
+     const i = this.shapes.indexOf(this.selected);
+     this.selected = this.shapes[(i + 1) % this.shapes.length];
+   }
+
+   /**
+    * Liga ou desliga a suavização das trocas de ponto fixo.
+    * @param {Boolean} smooth suave.
+    */
+   setSmooth(smooth) {
+     this.smooth = smooth;
+     for (const shape of this.shapes) shape.transition.enabled = smooth;
+   }
+
+   /**
+    * Forma desenhada por cima no ponto dado.
+    * @param {Number[]} p ponto do mundo.
+    * @returns {Shape|null} forma, ou null.
+    */
+   shapeAt(p) {
+     for (let i = this.shapes.length - 1; i >= 0; i--) {
+       if (this.shapes[i].contains(p)) return this.shapes[i];
+     }
+     return null;
+   }
+
+   /**
+    * Prende o ponto fixo de uma forma a um vértice de outra.
+    * Sem time, o ponto fixo salta para o vértice no próximo quadro.
+    * @param {Shape} shape forma carregada.
+    * @param {Shape} parent forma que a carrega.
+    * @param {Number} vertex índice do vértice de parent.
+    * @param {DOMHighResTimeStamp} time instante atual, para a transição.
+    * @throws {Error} se a ligação formaria um ciclo.
+    */
+   attach(shape, parent, vertex, time) {
+     for (let s = parent; s; s = s.attachment && s.attachment.shape) {
+       if (s == shape) throw new Error("The attachment would form a cycle");
+     }
+     if (time === undefined) shape.transition.from = null;
+     else shape.transition.begin(shape.pivot, time);
+     shape.attachment = { shape: parent, vertex };
+   }
+
+   /**
+    * <p>Avança todas as formas de um quadro.</p>
+    *
+    * Cada forma gira de acordo com a sua velocidade, a menos que angles dê
+    * outro ângulo para ela. Uma forma presa só avança depois da forma que a carrega.
+    * @param {Number} dt intervalo em segundos.
+    * @param {DOMHighResTimeStamp} time instante atual.
+    * @param {Map<Shape, Number>} angles ângulos, em graus, que substituem os da velocidade.
+    */
+   update(dt, time, angles = new Map()) {
+     const done = new Set();
+     const visit = (shape) => {
+       if (done.has(shape)) return;
+       done.add(shape);
+       if (shape.attachment) visit(shape.attachment.shape);
+       const angle = angles.has(shape) ? angles.get(shape) : shape.angularVelocity * dt;
+       shape.advance(angle, time, this.exact);
+     };
+     this.shapes.forEach(visit);
+   }
+
+   /**
+    * Estado completo da cena no formato de parseScene, de forma que
+    * parseScene(JSON.parse(JSON.stringify(scene))) continua a animação
+    * exatamente do mesmo ponto.
+    * @returns {Object} descrição da cena.
+    */
+   toJSON() {
+     const index = (shape) => this.shapes.indexOf(shape);
+     return {
+       background: this.background,
+       smooth: this.smooth,
+       exact: this.exact,
+       selected: index(this.selected),
+       shapes: this.shapes.map((shape) => ({
+         polygon: Array.from({ length: shape.numPoints }, (_, i) => [
+           shape.vertices[2 * i],
+           shape.vertices[2 * i + 1],
+         ]),
+         initialPose: Array.from(shape.initialPose),
+         pose: Array.from(shape.pose),
+         basePose: Array.from(shape.basePose),
+         angle: shape.accumulatedAngle,
+         pivot: shape.pivot.slice(),
+         target: shape.pivotTarget,
+         speed: shape.angularVelocity,
+         style: shape.style,
+         attach: shape.attachment && {
+           shape: index(shape.attachment.shape),
+           vertex: shape.attachment.vertex,
+         },
+         transition: shape.transition.from && {
+           from: shape.transition.from,
+           start: shape.transition.start,
+         },
+       })),
+     };
+   }
+
+   /**
+    * Cópia independente da cena, com as mesmas ligações entre as formas.
+    * @returns {Scene} cópia.
+    */
+   clone() {
+     const copy = new Scene();
+     copy.background = this.background;
+     copy.smooth = this.smooth;
+     copy.exact = this.exact;
+     copy.shapes = this.shapes.map((shape) => shape.clone());
+     this.shapes.forEach((shape, i) => {
+       if (shape.attachment) {
+         const { shape: parent, vertex } = shape.attachment;
+         copy.shapes[i].attachment = { shape: copy.shapes[this.shapes.indexOf(parent)], vertex };
+       }
+     });
+     copy.selected = copy.shapes[this.shapes.indexOf(this.selected)] || null;
+     return copy;
+   }
+ }
+
+ //Lê uma matriz 3x3 por coluna, como em affine2d
+ function parseMatrix(value, name) {
+   if (!Array.isArray(value) || value.length != 9 || !value.every(Number.isFinite)) {
+     throw new Error(`Invalid ${name}: ${JSON.stringify(value)}`);
+   }
+   return new Float64Array(value);
+ }
+
+ /**
+  * <p>Monta uma cena a partir da sua descrição em JSON.</p>
+  *
+  * Além dos campos do formato acima, aceita o estado completo gravado por
+  * Scene.toJSON: a pose inicial e a corrente (initialPose e pose, matrizes
+  * por coluna), a decomposição (basePose e angle), o destino do ponto fixo
+  * (target), a transição em andamento (transition), a forma selecionada
+  * (selected), a suavização (smooth) e o modo exato (exact).
+  * @param {Object} data descrição da cena.
+  * @param {Boolean} smooth suavização, se data não a define.
+  * @returns {Scene} cena.
+  * @throws {Error} se a descrição for inválida.
+  */
+ export function parseScene(data, smooth = true) {
+   if (!data || !Array.isArray(data.shapes) || data.shapes.length == 0) {
+     throw new Error("A scene needs at least one shape");
+   }
+   const scene = new Scene();
+   if (data.background) scene.background = data.background;
+   for (const item of data.shapes) {
+     if ("position" in item && !polygons.isPoint(item.position)) {
+       throw new Error(`Invalid position: ${JSON.stringify(item.position)}`);
+     }
+     if ("speed" in item && !Number.isFinite(item.speed)) {
+       throw new Error(`Invalid speed: ${JSON.stringify(item.speed)}`);
+     }
+     let pose = item.position && affine.translation(...item.position);
+     if ("initialPose" in item) pose = parseMatrix(item.initialPose, "initialPose");
+     const shape = new Shape(polygons.parsePolygon(item.polygon || { shape: "square" }), {
+       pose,
+       speed: item.speed,
+       style: item.style && styles.parseStyle(item.style),
+     });
+     if ("pose" in item) {
+       shape.pose = parseMatrix(item.pose, "pose");
+       shape.pivot = shape.worldVertex(0);
+       shape.rebase();
+     }
+     if ("basePose" in item) shape.basePose = parseMatrix(item.basePose, "basePose");
+     if (Number.isFinite(item.angle)) shape.accumulatedAngle = item.angle;
+     if (Number.isInteger(item.pivot)) {
+       shape.pivotTarget = { vertex: item.pivot };
+       shape.pivot = shape.worldVertex(item.pivot);
+     } else if (polygons.isPoint(item.pivot)) {
+       shape.pivotTarget = { point: item.pivot };
+       shape.pivot = item.pivot.slice();
+     } else if ("pivot" in item) {
+       throw new Error(`Invalid pivot: ${JSON.stringify(item.pivot)}`);
+     }
+     if (item.target) {
+       if (Number.isInteger(item.target.vertex)) shape.pivotTarget = { vertex: item.target.vertex };
+       else if (polygons.isPoint(item.target.point)) shape.pivotTarget = { point: item.target.point };
+       else throw new Error(`Invalid target: ${JSON.stringify(item.target)}`);
+     }
+     scene.add(shape);
+   }
+   //As ligações podem apontar para formas que aparecem depois na lista
+   data.shapes.forEach((item, i) => {
+     if (!item.attach) return;
+     const parent = scene.shapes[item.attach.shape];
+     const vertex = item.attach.vertex;
+     if (!parent || !Number.isInteger(vertex) || vertex < 0 || vertex >= parent.numPoints) {
+       throw new Error(`Invalid attachment: ${JSON.stringify(item.attach)}`);
+     }
+     scene.attach(scene.shapes[i], parent, vertex);
+   });
+   scene.setSmooth("smooth" in data ? Boolean(data.smooth) : smooth);
+   scene.exact = Boolean(data.exact);
+   data.shapes.forEach((item, i) => {
+     const transition = item.transition;
+     if (!transition) return;
+     if (!polygons.isPoint(transition.from) || !Number.isFinite(transition.start)) {
+       throw new Error(`Invalid transition: ${JSON.stringify(transition)}`);
+     }
+     scene.shapes[i].transition.from = transition.from.slice();
+     scene.shapes[i].transition.start = transition.start;
+   });
+   if (Number.isInteger(data.selected) && scene.shapes[data.selected]) {
+     scene.selected = scene.shapes[data.selected];
+   }
+   return scene;
+ }
+
+ /**
+  * Carrega a cena do arquivo JSON indicado por ?scene= na URL.
+  * @param {URLSearchParams} params parâmetros da URL.
+  * @param {Boolean} smooth suavização, se o arquivo não a define.
+  * @returns {Promise<Scene>} cena.
+  */
+ export async function loadScene(params, smooth = true) {
+   return parseScene(await polygons.fetchJson(params.get("scene")), smooth);
+ }
@@ -0,0 +1,115 @@
+/**
+ *  @file
+ *
+ *  <p>Estilo de desenho dos polígonos em RotatingSquare.</p>
+ *
+ *  <pre>
+ *  {
+ *    "background": "rgba(0, 204, 204, 1)",
+ *    "fill": { "type": "solid", "color": "orange" }
+ *         | { "type": "linear", "from": [x, y], "to": [x, y], "stops": [[0, "red"], [1, "blue"]] }
+ *         | { "type": "radial", "center": [x, y], "radius": r, "stops": [...] },
+ *    "stroke": { "color": "gray", "width": 6 },
+ *    "vertexColors": ["red", "green", "blue", "white"],
+ *    "vertexRadius": 4
+ *  }
+ *  </pre>
+ *
+ *  As coordenadas dos gradientes estão no sistema do polígono, isto é,
+ *  antes da pose, de forma que o gradiente gira junto com a forma.
+ *  Sem "from" e "to", o gradiente linear segue a diagonal do retângulo envolvente;
+ *  sem "center" e "radius", o radial parte do centro desse retângulo.
+ *  A espessura do contorno e o raio dos vértices estão em pixels.
+ */
+ "use strict";
+
+ import { fetchJson, isPoint } from "./polygons.js";
+
+ /**
+  * Estilo padrão.
+  * @returns {Object} novo objeto de estilo.
+  */
+ export function defaultStyle() {
+   return {
+     background: "rgba(0, 204, 204, 1)",
+     fill: {
+       type: "linear",
+       stops: [
+         [0, "red"],
+         [1, "blue"],
+       ],
+     },
+     stroke: { color: "gray", width: 6 },
+     vertexColors: ["red", "green", "blue", "white", "orange", "purple", "yellow", "black"],
+     vertexRadius: 4,
+   };
+ }
+
+ /**
+  * Geometria de um gradiente nas coordenadas do polígono. Os pontos omitidos
+  * no estilo são completados pelo retângulo envolvente dos vértices.
+  * @param {Object} fill preenchimento linear ou radial do estilo.
+  * @param {Float32Array} vertices vértices do polígono.
+  * @returns {{from: Number[], to: Number[]}|{center: Number[], radius: Number}} geometria.
+  */
+ export function gradientGeometry(fill, vertices) {
+   const xs = vertices.filter((_, i) => i % 2 == 0);
+   const ys = vertices.filter((_, i) => i % 2 == 1);
+   const min = [Math.min(...xs), Math.min(...ys)];
+   const max = [Math.max(...xs), Math.max(...ys)];
+   if (fill.type == "linear") return { from: fill.from || min, to: fill.to || max };
+   return {
+     center: fill.center || [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2],
+     radius: fill.radius || Math.hypot(max[0] - min[0], max[1] - min[1]) / 2,
+   };
+ }
+
+ /**
+  * Valida uma descrição de estilo em JSON e completa os campos omitidos
+  * com os do estilo padrão.
+  * @param {Object} data descrição do estilo.
+  * @returns {Object} estilo completo.
+  * @throws {Error} se algum campo for inválido.
+  */
+ export function parseStyle(data) {
+   const style = Object.assign(defaultStyle(), data);
+   style.stroke = Object.assign(defaultStyle().stroke, data.stroke);
+
+   const fill = style.fill;
+   switch (fill.type) {
+     case "solid":
+       if (typeof fill.color != "string") throw new Error("Solid fill needs a color");
+       break;
+     case "linear":
+     case "radial":
+       if (!Array.isArray(fill.stops) || fill.stops.length == 0) {
+         throw new Error(`The ${fill.type} gradient needs color stops`);
+       }
+       for (const stop of fill.stops) {
+         if (!Array.isArray(stop) || !(stop[0] >= 0 && stop[0] <= 1)) {
+           throw new Error(`Invalid color stop: ${JSON.stringify(stop)}`);
+         }
+       }
+       for (const key of ["from", "to", "center"]) {
+         if (key in fill && !isPoint(fill[key])) throw new Error(`Invalid ${key} point`);
+       }
+       break;
+     default:
+       throw new Error(`Unknown fill type: ${fill.type}`);
+   }
+   if (!Array.isArray(style.vertexColors) || style.vertexColors.length == 0) {
+     throw new Error("vertexColors must be a non-empty array");
+   }
+   return style;
+ }
+
+ /**
+  * Carrega o estilo do arquivo JSON indicado por ?style= na URL.
+  * Sem o parâmetro, retorna o estilo padrão.
+  * @param {URLSearchParams} params parâmetros da URL.
+  * @returns {Promise<Object>} estilo.
+  */
+ export async function loadStyle(params) {
+   if (!params.has("style")) return defaultStyle();
+   return parseStyle(await fetchJson(params.get("style")));
+ }
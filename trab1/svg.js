@@ -0,0 +1,141 @@
+/**
+ *  @file
+ *
+ *  <p>Exportação de um quadro de RotatingSquare como documento SVG.</p>
+ *
+ *  As coordenadas são pixels CSS da viewport, dadas pelo mesmo mapeamento
+ *  de Viewport.toViewport usado no canvas. Os gradientes são definidos nas
+ *  coordenadas do polígono, com gradientUnits="userSpaceOnUse" e
+ *  gradientTransform igual a viewport·pose, e por isso acompanham a forma
+ *  exatamente como no canvas.
+ *
+ *  Não depende do DOM: o resultado é uma string.
+ *
+ *  @see https://www.w3.org/TR/SVG11/pservers.html
+ */
+ "use strict";
+
+ import * as affine from "./affine2d.js";
+ import { gradientGeometry } from "./styles.js";
+
+ //Número com no máximo três casas decimais, sem zeros à direita
+ function num(v) {
+   return String(Number(v.toFixed(3)));
+ }
+
+ //Escapa texto para uso em atributos
+ function escape(text) {
+   return String(text)
+     .replace(/&/g, "&amp;")
+     .replace(/"/g, "&quot;")
+     .replace(/</g, "&lt;")
+     .replace(/>/g, "&gt;");
+ }
+
+ //Matriz 3x3 por coluna no formato matrix(a b c d e f) do SVG
+ function svgMatrix(m) {
+   return `matrix(${[m[0], m[1], m[3], m[4], m[6], m[7]].map(num).join(" ")})`;
+ }
+
+ /**
+  * Preenchimento da forma: uma cor, ou a referência a um gradiente
+  * acrescentado a defs.
+  * @param {Shape} shape forma.
+  * @param {Viewport} view viewport.
+  * @param {String} id identificador do gradiente.
+  * @param {Array<String>} defs definições do documento.
+  * @returns {String} valor do atributo fill.
+  */
+ function fillPaint(shape, view, id, defs) {
+   const fill = shape.style.fill;
+   if (fill.type == "solid") return escape(fill.color);
+
+   const g = gradientGeometry(fill, shape.vertices);
+   const transform = svgMatrix(affine.multiply(view.matrix(), shape.pose));
+   const stops = fill.stops
+     .map(([offset, color]) => `<stop offset="${num(offset)}" stop-color="${escape(color)}"/>`)
+     .join("");
+   const common = `id="${id}" gradientUnits="userSpaceOnUse" gradientTransform="${transform}"`;
+   if (fill.type == "linear") {
+     const [x1, y1] = g.from;
+     const [x2, y2] = g.to;
+     defs.push(
+       `<linearGradient ${common} x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}">` +
+         `${stops}</linearGradient>`
+     );
+   } else {
+     const [cx, cy] = g.center;
+     defs.push(
+       `<radialGradient ${common} cx="${num(cx)}" cy="${num(cy)}" r="${num(g.radius)}">` +
+         `${stops}</radialGradient>`
+     );
+   }
+   return `url(#${id})`;
+ }
+
+ /**
+  * Marcador do ponto fixo, como desenhado no canvas: uma mira para a forma
+  * selecionada e um círculo menor, cheio se preso a outra forma, para as demais.
+  * @param {Shape} shape forma.
+  * @param {Boolean} selected se é a forma selecionada.
+  * @param {Viewport} view viewport.
+  * @returns {String} elementos SVG.
+  */
+ function pivotMarker(shape, selected, view) {
+   const [x, y] = view.toViewport(...shape.pivot);
+   const fill = shape.attachment ? "black" : "none";
+   if (!selected) {
+     return `<circle cx="${num(x)}" cy="${num(y)}" r="5" fill="${fill}" stroke="black" stroke-width="2"/>`;
+   }
+   return (
+     `<circle cx="${num(x)}" cy="${num(y)}" r="8" fill="${fill}" stroke="black" stroke-width="2"/>` +
+     `<path d="M${num(x - 12)} ${num(y)}H${num(x + 12)}M${num(x)} ${num(y - 12)}V${num(y + 12)}" ` +
+     `stroke="black" stroke-width="2"/>`
+   );
+ }
+
+ /**
+  * <p>Documento SVG com o quadro corrente da cena: fundo, contorno,
+  * preenchimento e borda de cada forma, os vértices e os pontos fixos.</p>
+  * @param {Scene} scene cena.
+  * @param {Viewport} view viewport, cujas dimensões em pixels CSS dão o tamanho do documento.
+  * @returns {String} documento SVG.
+  */
+ export function sceneToSvg(scene, view) {
+   const defs = [];
+   const body = [];
+   const { width, height } = view;
+   body.push(`<rect width="${num(width)}" height="${num(height)}" fill="${escape(scene.background)}"/>`);
+
+   scene.shapes.forEach((shape, k) => {
+     const style = shape.style;
+     const points = shape.worldVertices();
+     const corners = [];
+     for (let i = 0; i < shape.numPoints; i++) {
+       corners.push(view.toViewport(points[2 * i], points[2 * i + 1]));
+     }
+     const paint = fillPaint(shape, view, `fill${k}`, defs);
+     body.push(
+       `<polygon points="${corners.map(([x, y]) => `${num(x)},${num(y)}`).join(" ")}" ` +
+         `fill="${paint}" stroke="${escape(style.stroke.color)}" ` +
+         `stroke-width="${num(style.stroke.width)}"/>`
+     );
+     corners.forEach(([x, y], i) => {
+       const color = style.vertexColors[i % style.vertexColors.length];
+       body.push(
+         `<circle cx="${num(x)}" cy="${num(y)}" r="${num(style.vertexRadius)}" fill="${escape(color)}"/>`
+       );
+     });
+     body.push(pivotMarker(shape, shape == scene.selected, view));
+   });
+
+   return [
+     `<?xml version="1.0" encoding="UTF-8"?>`,
+     `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" ` +
+       `viewBox="0 0 ${num(width)} ${num(height)}">`,
+     `<defs>${defs.join("")}</defs>`,
+     ...body,
+     `</svg>`,
+     "",
+   ].join("\n");
+ }
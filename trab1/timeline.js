@@ -0,0 +1,183 @@
+/**
+ *  @file
+ *
+ *  <p>Gravação e reprodução exata de uma sessão de RotatingSquare.</p>
+ *
+ *  A linha do tempo guarda, para cada quadro, o instante, o intervalo e os
+ *  ângulos que substituíram os da velocidade (giro com dois dedos).
+ *  Sempre que a cena muda por uma ação do usuário (ponto fixo, tecla,
+ *  velocidade), e a cada keyframeInterval quadros, guarda também um quadro-chave
+ *  com o estado completo da cena (Scene.toJSON).
+ *
+ *  Como a animação é determinística, qualquer quadro é reconstruído
+ *  a partir do quadro-chave anterior, repetindo os mesmos passos de Scene.update.
+ *
+ *  <pre>
+ *  {
+ *    "version": 1,
+ *    "keyframes": [{ "frame": 0, "scene": { ... } }, ...],
+ *    "frames": [{ "time": 1234.5, "dt": 0.0166, "angles": [[0, 2.5]] }, ...]
+ *  }
+ *  </pre>
+ */
+ "use strict";
+
+ import { fetchJson } from "./polygons.js";
+ import { parseScene } from "./scene.js";
+
+ /**
+  * Número máximo de quadros entre dois quadros-chave,
+  * o que limita o custo de saltar para um quadro qualquer.
+  * @type {Number}
+  */
+ const keyframeInterval = 120;
+
+ /**
+  * Linha do tempo de uma sessão.
+  * @class
+  */
+ export class Timeline {
+   /**
+    * @constructs Timeline
+    */
+   constructor() {
+     /** Estados completos da cena antes do quadro indicado. */
+     this.keyframes = [];
+     /** Instante (ms), intervalo (s) e ângulos substituídos de cada quadro. */
+     this.frames = [];
+     /** Último quadro reconstruído, para avançar sem voltar ao quadro-chave. */
+     this.cache = null;
+   }
+
+   /**
+    * Número de quadros gravados.
+    * @type {Number}
+    */
+   get length() {
+     return this.frames.length;
+   }
+
+   /**
+    * Grava um quadro, antes de a cena ser avançada por scene.update(dt, time, angles).
+    * @param {Scene} scene cena ao vivo.
+    * @param {DOMHighResTimeStamp} time instante do quadro.
+    * @param {Number} dt intervalo em segundos.
+    * @param {Map<Shape, Number>} angles ângulos que substituem os da velocidade.
+    * @param {Boolean} changed se a cena mudou por uma ação do usuário desde o quadro anterior.
+    */
+   record(scene, time, dt, angles, changed) {
+     const last = this.keyframes[this.keyframes.length - 1];
+     if (changed || !last || this.frames.length - last.frame >= keyframeInterval) {
+       //A cópia em JSON não muda com a cena ao vivo
+       this.keyframes.push({ frame: this.frames.length, scene: JSON.parse(JSON.stringify(scene)) });
+     }
+     const frame = { time, dt };
+     if (angles.size) {
+       frame.angles = [...angles].map(([shape, angle]) => [scene.shapes.indexOf(shape), angle]);
+     }
+     this.frames.push(frame);
+   }
+
+   /**
+    * Reconstrói a cena como desenhada no quadro k, isto é, depois do seu update.
+    * A cena retornada é reaproveitada pela próxima chamada; para alterá-la, use clone().
+    * @param {Number} k índice do quadro.
+    * @returns {Scene} cena.
+    */
+   sceneAt(k) {
+     k = Math.min(Math.max(0, Math.round(k)), this.length - 1);
+     if (this.cache && this.cache.frame == k) return this.cache.scene;
+     let keyframe = this.keyframes[0];
+     for (const candidate of this.keyframes) {
+       if (candidate.frame <= k) keyframe = candidate;
+     }
+     //Continua do último quadro reconstruído se ele estiver entre o quadro-chave e k
+     let scene;
+     let from;
+     if (this.cache && this.cache.frame >= keyframe.frame && this.cache.frame < k) {
+       scene = this.cache.scene;
+       from = this.cache.frame + 1;
+     } else {
+       scene = parseScene(keyframe.scene);
+       from = keyframe.frame;
+     }
+     for (let i = from; i <= k; i++) {
+       const { time, dt, angles = [] } = this.frames[i];
+       scene.update(dt, time, new Map(angles.map(([index, angle]) => [scene.shapes[index], angle])));
+     }
+     this.cache = { frame: k, scene };
+     return scene;
+   }
+
+   /**
+    * Índice do último quadro cujo instante, medido a partir do primeiro,
+    * não passa de elapsed.
+    * @param {Number} elapsed tempo em ms desde o primeiro quadro.
+    * @returns {Number} índice do quadro.
+    */
+   frameAt(elapsed) {
+     const t = this.frames[0].time + elapsed;
+     let lo = 0;
+     let hi = this.length - 1;
+     while (lo < hi) {
+       const mid = Math.ceil((lo + hi) / 2);
+       if (this.frames[mid].time <= t) lo = mid;
+       else hi = mid - 1;
+     }
+     return lo;
+   }
+
+   /**
+    * Duração da gravação em ms.
+    * @type {Number}
+    */
+   get duration() {
+     return this.length ? this.frames[this.length - 1].time - this.frames[0].time : 0;
+   }
+
+   toJSON() {
+     return { version: 1, keyframes: this.keyframes, frames: this.frames };
+   }
+ }
+
+ /**
+  * Lê uma linha do tempo gravada por Timeline.toJSON.
+  * @param {Object} data descrição da linha do tempo.
+  * @returns {Timeline} linha do tempo.
+  * @throws {Error} se a descrição for inválida.
+  */
+ export function parseTimeline(data) {
+   if (!data || data.version != 1) throw new Error("Unknown timeline version");
+   const { keyframes, frames } = data;
+   if (!Array.isArray(frames) || frames.length == 0) {
+     throw new Error("A timeline needs at least one frame");
+   }
+   if (!Array.isArray(keyframes) || !keyframes.length || keyframes[0].frame !== 0) {
+     throw new Error("A timeline must start with a keyframe");
+   }
+   frames.forEach((frame, i) => {
+     if (!Number.isFinite(frame.time) || !Number.isFinite(frame.dt)) {
+       throw new Error(`Invalid frame ${i}: ${JSON.stringify(frame)}`);
+     }
+   });
+   const timeline = new Timeline();
+   for (const { frame, scene } of keyframes) {
+     if (!Number.isInteger(frame) || frame < 0 || frame >= frames.length) {
+       throw new Error(`Invalid keyframe at frame ${frame}`);
+     }
+     //Valida o estado agora, e não no meio da reprodução
+     parseScene(scene);
+     timeline.keyframes.push({ frame, scene });
+   }
+   timeline.frames = frames;
+   return timeline;
+ }
+
+ /**
+  * Carrega a linha do tempo do arquivo JSON indicado por ?timeline= na URL.
+  * @param {URLSearchParams} params parâmetros da URL.
+  * @returns {Promise<Timeline>} linha do tempo.
+  */
+ export async function loadTimeline(params) {
+   return parseTimeline(await fetchJson(params.get("timeline")));
+ }
@@ -0,0 +1,160 @@
+/**
+ *  @file
+ *
+ *  <p>Mapeamento entre a janela do mundo e a viewport do canvas.</p>
+ *
+ *  A janela do mundo é dada pelo seu centro e pela extensão, em unidades
+ *  do mundo, do menor lado do canvas. O outro lado cresce junto com o canvas,
+ *  de forma que os pixels continuam quadrados quando a janela é redimensionada.
+ *
+ *  As coordenadas da viewport são pixels CSS, com o eixo y para baixo.
+ *  O canvas em si tem devicePixelRatio vezes mais pixels (HiDPI).
+ */
+ "use strict";
+
+ /**
+  * Janela do mundo e viewport de um canvas.
+  * @class
+  */
+ export class Viewport {
+   /**
+    * @constructs Viewport
+    * @param {Number} width largura em pixels CSS.
+    * @param {Number} height altura em pixels CSS.
+    * @param {Number} size extensão do menor lado em unidades do mundo.
+    * @param {Number[]} center centro da janela no mundo.
+    * @param {Number} dpr razão entre pixels do dispositivo e pixels CSS.
+    */
+   constructor(width, height, size = 5, center = [0, 0], dpr = 1) {
+     /** Largura em pixels CSS. */
+     this.width = width;
+     /** Altura em pixels CSS. */
+     this.height = height;
+     /** Extensão do menor lado em unidades do mundo. */
+     this.size = size;
+     /** Centro da janela no mundo. */
+     this.center = center.slice();
+     /** Razão entre pixels do dispositivo e pixels CSS. */
+     this.dpr = dpr;
+   }
+
+   /**
+    * Pixels CSS por unidade do mundo.
+    * @type {Number}
+    */
+   get scale() {
+     return Math.min(this.width, this.height) / this.size;
+   }
+
+   /**
+    * Converte um ponto do mundo para a viewport.
+    * @param {Number} x coordenada x no mundo.
+    * @param {Number} y coordenada y no mundo.
+    * @returns {Number[]} pixels CSS.
+    */
+   toViewport(x, y) {
+     return [
+       this.width / 2 + (x - this.center[0]) * this.scale,
+       this.height / 2 - (y - this.center[1]) * this.scale,
+     ];
+   }
+
+   /**
+    * Converte um ponto da viewport para o mundo (inversa de toViewport).
+    * @param {Number} x pixel x.
+    * @param {Number} y pixel y.
+    * @returns {Number[]} ponto no mundo.
+    */
+   toWorld(x, y) {
+     return [
+       this.center[0] + (x - this.width / 2) / this.scale,
+       this.center[1] - (y - this.height / 2) / this.scale,
+     ];
+   }
+
+   /**
+    * Matriz homogênea 3x3 (por coluna, como em affine2d) que leva
+    * o mundo à viewport, equivalente a toViewport.
+    * @returns {Float64Array} matriz.
+    */
+   matrix() {
+     const s = this.scale;
+     // prettier-ignore
+     return new Float64Array([
+       s, 0, 0,
+       0, -s, 0,
+       this.width / 2 - this.center[0] * s, this.height / 2 + this.center[1] * s, 1,
+     ]);
+   }
+
+   /**
+    * Limites da janela do mundo visível.
+    * @returns {{xmin: Number, xmax: Number, ymin: Number, ymax: Number}} limites.
+    */
+   bounds() {
+     const [xmin, ymax] = this.toWorld(0, 0);
+     const [xmax, ymin] = this.toWorld(this.width, this.height);
+     return { xmin, xmax, ymin, ymax };
+   }
+
+   /**
+    * Aproxima ou afasta mantendo fixo o ponto do mundo sob o pixel dado.
+    * @param {Number} x pixel x.
+    * @param {Number} y pixel y.
+    * @param {Number} factor fator de zoom (maior que 1 aproxima).
+    */
+   zoomAt(x, y, factor) {
+     const before = this.toWorld(x, y);
+     this.size = Math.min(1000, Math.max(0.05, this.size / factor));
+     const after = this.toWorld(x, y);
+     this.center[0] += before[0] - after[0];
+     this.center[1] += before[1] - after[1];
+   }
+
+   /**
+    * Desloca a janela do mundo de forma que o conteúdo acompanhe
+    * um arraste de (dx, dy) pixels.
+    * @param {Number} dx deslocamento horizontal em pixels.
+    * @param {Number} dy deslocamento vertical em pixels.
+    */
+   pan(dx, dy) {
+     this.center[0] -= dx / this.scale;
+     this.center[1] += dy / this.scale;
+   }
+
+   /**
+    * Muda as dimensões da viewport, mantendo o centro e o zoom.
+    * @param {Number} width largura em pixels CSS.
+    * @param {Number} height altura em pixels CSS.
+    * @param {Number} dpr razão entre pixels do dispositivo e pixels CSS.
+    */
+   resize(width, height, dpr = this.dpr) {
+     this.width = width;
+     this.height = height;
+     this.dpr = dpr;
+   }
+
+   /**
+    * Cópia desta viewport com outras dimensões e a mesma janela do mundo.
+    * @param {Number} width largura.
+    * @param {Number} height altura.
+    * @param {Number} dpr razão entre pixels do dispositivo e pixels CSS.
+    * @returns {Viewport} nova viewport.
+    */
+   resized(width, height, dpr = 1) {
+     return new Viewport(width, height, this.size, this.center, dpr);
+   }
+
+   /**
+    * <p>Espaçamento "redondo" (1, 2 ou 5 vezes uma potência de 10) entre as
+    * linhas da grade, de forma que fiquem a pelo menos minPixels pixels.</p>
+    * @param {Number} minPixels distância mínima entre linhas em pixels.
+    * @returns {Number} espaçamento em unidades do mundo.
+    */
+   gridStep(minPixels = 50) {
+     const raw = minPixels / this.scale;
+     const power = 10 ** Math.floor(Math.log10(raw));
+     for (const m of [1, 2, 5]) if (m * power >= raw) return m * power;
+     return 10 * power;
+   }
+ }
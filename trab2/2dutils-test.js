@@ -0,0 +1,492 @@
+/**
+ *  @file
+ *
+ *  <p>Testes de 2dutils.</p>
+ *
+ *  <p>Os predicados orient e inCircle são testados nos seus três modos.
+ *  O sinal correto de cada caso é calculado com BigInt: todo número de ponto
+ *  flutuante é um inteiro vezes uma potência de 2, de forma que os determinantes
+ *  podem ser avaliados sem arredondamento. Cada teste exige que o modo "exact"
+ *  acerte todos os sinais e lista, como diagnóstico, os casos em que o modo
+ *  "float" erra.</p>
+ *
+ *  <p>As operações sobre polígonos são testadas pelas áreas e pelo número
+ *  de partes dos resultados, em figuras cujas respostas são conhecidas.</p>
+ *
+ *  <pre>
+ *  Node 22.12 ou mais recente:
+ *    node trab2/2dutils-test.js
+ *  Node 20:
+ *    node --experimental-default-type=module trab2/2dutils-test.js
+ *  </pre>
+ *
+ *  @see https://www.cs.cmu.edu/~quake/robust.html
+ */
+ "use strict";
+
+ import { test } from "node:test";
+ import assert from "node:assert/strict";
+ import {
+   orient,
+   inCircle,
+   pointInPoly,
+   segmentsIntersect,
+   vectorProj,
+   distToLine,
+   convexHull,
+   ConvexHull,
+   orientation,
+   selfIntersections,
+   isSimple,
+   repairPolygon,
+   segmentIntersection,
+   polygonArea,
+   triangulate,
+   polygonBoolean,
+   clipConvex,
+   convexOverlapArea,
+   circlePolygonOverlapArea,
+ } from "./2dutils.js";
+
+ // O menor expoente de um número de ponto flutuante (subnormal) é -1074
+ const exponentShift = 1074n;
+
+ //Valor exato de x vezes 2^1074, que é sempre inteiro
+ function toBigInt(x) {
+   let e = 0n;
+   while (!Number.isInteger(x)) {
+     x *= 2;
+     e++;
+   }
+   return BigInt(x) * 2n ** (exponentShift - e);
+ }
+
+ //Sinal de um BigInt
+ function bigSign(v) {
+   return v > 0n ? 1 : v < 0n ? -1 : 0;
+ }
+
+ //Sinal exato de orient(a, b, c)
+ function orientSign(a, b, c) {
+   const [ax, ay, bx, by, cx, cy] = [...a, ...b, ...c].map(toBigInt);
+   return bigSign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+ }
+
+ //Sinal exato de inCircle(a, b, c, d)
+ function inCircleSign(a, b, c, d) {
+   const [ax, ay, bx, by, cx, cy, dx, dy] = [...a, ...b, ...c, ...d].map(toBigInt);
+   const [adx, ady, bdx, bdy, cdx, cdy] = [ax - dx, ay - dy, bx - dx, by - dy, cx - dx, cy - dy];
+   const det =
+     (adx * adx + ady * ady) * (bdx * cdy - cdx * bdy) +
+     (bdx * bdx + bdy * bdy) * (cdx * ady - adx * cdy) +
+     (cdx * cdx + cdy * cdy) * (adx * bdy - bdx * ady);
+   return bigSign(det) * orientSign(a, b, c);
+ }
+
+ /**
+  * Compara os sinais de um predicado com os esperados: o modo "exact" precisa
+  * acertar todos, e os erros do modo "float" são reportados por diagnóstico.
+  * @param {TestContext} t contexto do teste.
+  * @param {Array<{args: Array, expected: Number}>} cases argumentos e sinal correto.
+  * @param {function(...*): Number} predicate predicado, recebendo o modo por último.
+  */
+ function checkSigns(t, cases, predicate) {
+   const floatErrors = [];
+   for (const { args, expected } of cases) {
+     assert.equal(predicate(...args, "exact"), expected, `exact: ${JSON.stringify(args)}`);
+     const got = predicate(...args, "float");
+     if (got != expected) floatErrors.push({ args, expected, got });
+   }
+   reportFloatErrors(t, floatErrors, cases.length);
+ }
+
+ //Diagnóstico com o número de erros do modo "float" e alguns exemplos
+ function reportFloatErrors(t, errors, total, what = "errados") {
+   t.diagnostic(`float: ${errors.length} de ${total} casos ${what}`);
+   for (const { args, expected, got } of errors.slice(0, 3)) {
+     t.diagnostic(`  ${JSON.stringify(args)}: ${got}, o correto é ${expected}`);
+   }
+ }
+
+ // Grade de Shewchuk: a = [0.5 + i·2^-53, 0.5 + j·2^-53], i, j = 0..255,
+ // quase colinear com b = [12, 12] e c = [24, 24]
+ const ulp = 2 ** -53;
+ const grid = [];
+ for (let i = 0; i < 256; i++) {
+   for (let j = 0; j < 256; j++) grid.push([0.5 + i * ulp, 0.5 + j * ulp]);
+ }
+
+ // O modo "float" expande o determinante pela primeira coluna, como mat3.determinant:
+ // com a na primeira posição, o menor de b e c é exatamente zero e o sinal sai certo;
+ // nas outras posições, erra em cerca de um sexto da grade
+ for (const [label, order] of [
+   ["orient(a, b, c)", (a, b, c) => [a, b, c]],
+   ["orient(b, c, a)", (a, b, c) => [b, c, a]],
+   ["orient(c, a, b)", (a, b, c) => [c, a, b]],
+ ]) {
+   test(`grade de Shewchuk: ${label}`, (t) => {
+     const cases = grid.map((a) => {
+       const args = order(a, [12, 12], [24, 24]);
+       return { args, expected: orientSign(...args) };
+     });
+     checkSigns(t, cases, orient);
+   });
+ }
+
+ // Pontos arredondados de um círculo de raio 1000 e centro [1000, 1000],
+ // pela parametrização racional ((1 - t²)/(1 + t²), 2t/(1 + t²)), t = k/7;
+ // a divisão é arredondada corretamente, então os pontos não dependem do ambiente
+ function circlePoint(t) {
+   return [1000 + (1000 * (1 - t * t)) / (1 + t * t), 1000 + (1000 * 2 * t) / (1 + t * t)];
+ }
+
+ test("inCircle com pontos quase cocirculares", (t) => {
+   const points = [];
+   for (let k = -12; k <= 12; k++) points.push(circlePoint(k / 7));
+   const cases = [];
+   for (let i = 0; i < points.length; i++) {
+     for (let j = i + 1; j < points.length; j++) {
+       for (let k = j + 1; k < points.length; k++) {
+         for (let l = k + 1; l < points.length; l++) {
+           const args = [points[i], points[j], points[k], points[l]];
+           cases.push({ args, expected: inCircleSign(...args) });
+         }
+       }
+     }
+   }
+   //Alguns são exatamente cocirculares, e o modo "exact" precisa retornar 0
+   assert.ok(cases.some(({ expected }) => expected == 0));
+   checkSigns(t, cases, inCircle);
+ });
+
+ // Triângulo cuja aresta de [-12, -12] a [24, 24] passa pela grade de Shewchuk:
+ // um ponto da grade está dentro se e somente se x > y
+ const triangle = [[-12, -12], [24, 24], [24, -12]];
+ const inside = [20, -8];
+
+ test("pointInPoly e segmentsIntersect concordam no modo exact", (t) => {
+   const floatErrors = [];
+   for (const p of grid) {
+     //O segmento até um ponto interior toca a aresta se e somente se p não está dentro
+     const crosses = segmentsIntersect(p, inside, triangle[0], triangle[1], "exact");
+     assert.equal(crosses, p[0] <= p[1], `segmentsIntersect: ${JSON.stringify(p)}`);
+     //Na aresta, pointInPoly pode dar qualquer resposta
+     if (p[0] != p[1]) {
+       assert.equal(pointInPoly(p, triangle, "exact"), !crosses, `pointInPoly: ${JSON.stringify(p)}`);
+       const floatInside = pointInPoly(p, triangle, "float");
+       const floatCrosses = segmentsIntersect(p, inside, triangle[0], triangle[1], "float");
+       if (floatInside == floatCrosses) {
+         floatErrors.push({ args: [p], expected: `${!crosses}/${crosses}`, got: `${floatInside}/${floatCrosses}` });
+       }
+     }
+   }
+   reportFloatErrors(t, floatErrors, grid.length - 256, "em que pointInPoly e segmentsIntersect discordam");
+ });
+
+ test("modo epsilon: faixa de zero em orient", () => {
+   const epsilon = 1e-9;
+   // [a, b, c, sinal exato, sinal com epsilon]; |b - a|·|c - a| limita o seno do ângulo em a
+   const cases = [
+     [[0, 0], [1, 0], [1, 1e-10], 1, 0],
+     [[0, 0], [1, 0], [1, -1e-10], -1, 0],
+     [[0, 0], [1, 0], [1, 1e-8], 1, 1],
+     [[0, 0], [1, 0], [1, -1e-8], -1, -1],
+     [[0, 0], [1, 0], [2, 0], 0, 0],
+     //A faixa é relativa: a mesma figura ampliada tem o mesmo resultado
+     [[0, 0], [1e6, 0], [1e6, 1e-4], 1, 0],
+     [[0, 0], [1e6, 0], [1e6, 1e-2], 1, 1],
+     [[0, 0], [1e-6, 0], [1e-6, 1e-16], 1, 0],
+     [[0, 0], [1e-6, 0], [1e-6, 1e-14], 1, 1],
+   ];
+   for (const [a, b, c, exact, banded] of cases) {
+     assert.equal(orientSign(a, b, c), exact);
+     assert.equal(orient(a, b, c, "exact"), exact);
+     assert.equal(orient(a, b, c, epsilon), banded, `epsilon: ${JSON.stringify([a, b, c])}`);
+   }
+ });
+
+ test("modo epsilon: faixa de zero em inCircle e segmentsIntersect", () => {
+   const epsilon = 1e-9;
+   const [a, b, c, d] = [-3, 2, 9, 5].map((k) => circlePoint(k / 7));
+   assert.equal(inCircle(a, b, c, d, epsilon), 0);
+   //Um milésimo do raio para dentro ou para fora já sai da faixa
+   const center = [1000, 1000];
+   const moved = (k) => [center[0] + (d[0] - center[0]) * k, center[1] + (d[1] - center[1]) * k];
+   assert.equal(inCircleSign(a, b, c, moved(0.999)), 1);
+   assert.equal(inCircle(a, b, c, moved(0.999), epsilon), 1);
+   assert.equal(inCircleSign(a, b, c, moved(1.001)), -1);
+   assert.equal(inCircle(a, b, c, moved(1.001), epsilon), -1);
+
+   //Uma extremidade a 1e-12 da reta do outro segmento conta como toque
+   const [p, q, r, s] = [[0, 0], [2, 0], [1, 1e-12], [1, 1]];
+   assert.equal(segmentsIntersect(p, q, r, s, "exact"), false);
+   assert.equal(segmentsIntersect(p, q, r, s, epsilon), true);
+ });
+
+ test("vectorProj e distToLine com vetor nulo", () => {
+   assert.deepEqual(vectorProj([3, 4], [2, 0]), [3, 0]);
+   assert.deepEqual(vectorProj([3, 4], [0, 0]), [0, 0]);
+   assert.equal(distToLine([4, 5], [1, 1], [1, 0]), 4);
+   //Sem direção, a reta se reduz ao ponto p
+   assert.equal(distToLine([4, 5], [1, 1], [0, 0]), 5);
+ });
+
+ test("orientation usa a circulação vista na tela, como orient e convexHull", () => {
+   const points = [[0, 0], [4, 0], [4, 3], [0, 3], [2, 1]];
+   //Com o eixo y para baixo, [0, 0] → [0, 3] → [4, 3] é anti-horária na tela
+   assert.equal(orient([0, 0], [0, 3], [4, 3]), -1);
+   assert.equal(orientation([[0, 0], [0, 3], [4, 3]]), "CCW");
+   assert.equal(orientation(convexHull(points)), "CCW");
+   assert.equal(orientation(convexHull(points, true)), "CW");
+   assert.equal(orientation(repairPolygon(points.slice(0, 4), "CW")), "CW");
+   assert.equal(orientation(repairPolygon(points.slice(0, 4), "CCW")), "CCW");
+   assert.equal(orientation([[0, 0], [1, 1], [2, 2]]), null);
+   assert.throws(() => repairPolygon(points, "ccw"), /Unknown orientation/);
+   assert.throws(() => repairPolygon(points, true), /Unknown orientation/);
+ });
+
+ test("segmentIntersection: paralelos quando o mais curto se afasta menos de epsilon", () => {
+   //O segmento curto se afasta 5e-10 ao longo do seu comprimento; o longo, 5e-7
+   const hit = segmentIntersection([0, 0], [1000, 0], [500, 0], [501, 5e-10], 1e-9);
+   assert.equal(hit.type, "overlap");
+   assert.deepEqual(hit.t, [0.5, 0.501]);
+   //Com um ângulo maior, há um único ponto de interseção
+   const cross = segmentIntersection([0, 0], [1000, 0], [500, 0], [501, 5e-9], 1e-9);
+   assert.equal(cross.type, "point");
+   assert.deepEqual(cross.point, [500, 0]);
+ });
+
+ //Retângulo de [x0, y0] a [x1, y1]
+ function rect(x0, y0, x1, y1) {
+   return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+ }
+
+ //Área de uma região dada por anéis, com os buracos de área negativa
+ function regionArea(rings) {
+   return rings.reduce((sum, ring) => sum + polygonArea(ring), 0);
+ }
+
+ //Estrela de cinco pontas como polígono simples de dez vértices
+ const star = Array.from({ length: 10 }, (_, i) => {
+   const r = i % 2 ? 1 : 2.5;
+   const angle = (i * Math.PI) / 5;
+   return [r * Math.cos(angle), r * Math.sin(angle)];
+ });
+
+ test("triangulate: número de triângulos e área", () => {
+   const lShape = [[0, 0], [4, 0], [4, 2], [2, 2], [2, 4], [0, 4]];
+   for (const poly of [rect(0, 0, 4, 4), lShape, lShape.slice().reverse(), star]) {
+     const triangles = triangulate(poly);
+     assert.equal(triangles.length, poly.length - 2);
+     const areas = triangles.map((t) => polygonArea(t.map((i) => poly[i])));
+     //Cada triângulo tem a circulação do polígono, e juntos cobrem a sua área
+     for (const a of areas) assert.equal(Math.sign(a), Math.sign(polygonArea(poly)));
+     assert.ok(Math.abs(regionArea(triangles.map((t) => t.map((i) => poly[i]))) - polygonArea(poly)) < 1e-12);
+   }
+ });
+
+ test("triangulate: vértices colineares e repetidos não geram triângulos degenerados", () => {
+   for (const poly of [
+     [[0, 0], [2, 0], [4, 0], [4, 4], [0, 4]],
+     [[0, 0], [4, 0], [4, 0], [4, 4], [0, 4]],
+   ]) {
+     const triangles = triangulate(poly);
+     assert.equal(triangles.length, 2);
+     for (const t of triangles) assert.notEqual(polygonArea(t.map((i) => poly[i])), 0);
+     assert.equal(regionArea(triangles.map((t) => t.map((i) => poly[i]))), 16);
+   }
+ });
+
+ //Anel começando pelo menor vértice (por x e depois y), para comparar circulações
+ function fromLowest(ring) {
+   let k = 0;
+   ring.forEach((p, i) => {
+     if (p[0] < ring[k][0] || (p[0] == ring[k][0] && p[1] < ring[k][1])) k = i;
+   });
+   return [...ring.slice(k), ...ring.slice(0, k)];
+ }
+
+ test("convexHull e ConvexHull com pontos colineares e repetidos", () => {
+   //Cantos de um retângulo, pontos sobre as arestas, repetidos e interiores
+   const points = [[0, 0], [4, 0], [4, 3], [0, 3], [2, 0], [0, 1.5], [4, 3], [0, 0], [2, 1], [1, 2]];
+   const corners = [[0, 0], [0, 3], [4, 3], [4, 0]];
+   assert.deepEqual(fromLowest(convexHull(points)), corners);
+   assert.deepEqual(fromLowest(convexHull(points, true)), fromLowest(corners.slice().reverse()));
+   //A ordem de chegada não muda o fecho incremental
+   for (const order of [points, points.slice().reverse(), [...points.slice(4), ...points.slice(0, 4)]]) {
+     assert.deepEqual(fromLowest(new ConvexHull(order).points()), corners);
+   }
+
+   const hull = new ConvexHull(points);
+   assert.equal(hull.add([2, 2]), false);
+   assert.equal(hull.add([4, 1]), false);
+   assert.equal(hull.add([6, 1]), true);
+   assert.deepEqual(fromLowest(hull.points()), [[0, 0], [0, 3], [4, 3], [6, 1], [4, 0]]);
+ });
+
+ test("convexHull com todos os pontos colineares ou iguais", () => {
+   const collinear = [[1, 1], [3, 3], [0, 0], [2, 2], [3, 3]];
+   assert.deepEqual(fromLowest(convexHull(collinear)), [[0, 0], [3, 3]]);
+   assert.deepEqual(fromLowest(new ConvexHull(collinear).points()), [[0, 0], [3, 3]]);
+   assert.deepEqual(convexHull([[1, 1], [1, 1]]), [[1, 1]]);
+   assert.deepEqual(new ConvexHull([[1, 1], [1, 1]]).points(), [[1, 1]]);
+ });
+
+ //Polígono regular de n lados, raio r e centro c, girado de angle
+ function regular(n, r, c, angle = 0) {
+   return Array.from({ length: n }, (_, i) => {
+     const t = angle + (2 * Math.PI * i) / n;
+     return [c[0] + r * Math.cos(t), c[1] + r * Math.sin(t)];
+   });
+ }
+
+ //Um ponto está na região se está dentro de um número ímpar de anéis
+ function inRegion(p, rings) {
+   return rings.filter((ring) => pointInPoly(p, ring)).length % 2 == 1;
+ }
+
+ test("polygonBoolean: áreas de polígonos convexos conferem com convexOverlapArea", () => {
+   const pairs = [
+     [rect(0, 0, 4, 4), rect(2, 1, 6, 5)],
+     [regular(6, 2, [0, 0]), regular(3, 2.5, [1, 0.5], 0.3)],
+     [regular(5, 3, [0, 0]), regular(8, 1, [2.5, 0], 0.1)],
+     //Orientação horária na entrada
+     [rect(0, 0, 4, 4).reverse(), regular(7, 2, [4, 2])],
+   ];
+   for (const [a, b] of pairs) {
+     const areaA = Math.abs(polygonArea(a));
+     const areaB = Math.abs(polygonArea(b));
+     const overlap = convexOverlapArea(a, b);
+     assert.ok(overlap > 0);
+     const expected = {
+       intersection: overlap,
+       union: areaA + areaB - overlap,
+       difference: areaA - overlap,
+       xor: areaA + areaB - 2 * overlap,
+     };
+     for (const [operation, area] of Object.entries(expected)) {
+       assert.ok(Math.abs(regionArea(polygonBoolean(a, b, operation)) - area) < 1e-9, operation);
+     }
+   }
+   assert.throws(() => polygonBoolean(rect(0, 0, 1, 1), rect(0, 0, 1, 1), "minus"), /Unknown operation/);
+ });
+
+ test("polygonBoolean: buracos e anéis aninhados", () => {
+   //Quadrado 10x10 com um buraco 4x4, e um retângulo que atravessa o buraco
+   const holed = [rect(0, 0, 10, 10), rect(3, 3, 7, 7)];
+   const bar = rect(5, 2, 15, 8);
+   const expected = { intersection: 22, union: 122, difference: 62, xor: 100 };
+   for (const [operation, area] of Object.entries(expected)) {
+     assert.equal(regionArea(polygonBoolean(holed, bar, operation)), area, operation);
+   }
+   const union = polygonBoolean(holed, bar, "union");
+   //O que sobra do buraco continua sendo um buraco
+   assert.equal(union.length, 2);
+   assert.ok(inRegion([6, 5], union));
+   assert.ok(!inRegion([4, 5], union));
+   const intersection = polygonBoolean(holed, bar, "intersection");
+   assert.ok(inRegion([8, 5], intersection));
+   assert.ok(!inRegion([6, 5], intersection));
+
+   //Ilha dentro de um buraco: os três anéis sobrevivem à interseção com um quadrado maior
+   const nested = [rect(0, 0, 10, 10), rect(2, 2, 8, 8), rect(4, 4, 6, 6)];
+   const all = polygonBoolean(nested, rect(-1, -1, 11, 11), "intersection");
+   assert.equal(all.length, 3);
+   assert.equal(regionArea(all), 100 - 36 + 4);
+   assert.ok(inRegion([5, 5], all) && !inRegion([3, 5], all) && inRegion([1, 5], all));
+   //Tirar o buraco do meio preenche a região toda
+   assert.equal(regionArea(polygonBoolean(nested, rect(2, 2, 8, 8), "union")), 100);
+ });
+
+ test("polygonBoolean: arestas comuns, arestas colineares e vértices que só se tocam", () => {
+   //Aresta comum inteira: a união é um só retângulo, a interseção é vazia
+   const sharedUnion = polygonBoolean(rect(0, 0, 2, 2), rect(2, 0, 4, 2), "union");
+   assert.equal(sharedUnion.length, 1);
+   assert.equal(sharedUnion[0].length, 4);
+   assert.equal(regionArea(sharedUnion), 8);
+   assert.deepEqual(polygonBoolean(rect(0, 0, 2, 2), rect(2, 0, 4, 2), "intersection"), []);
+
+   //Arestas colineares que se sobrepõem em parte
+   assert.equal(regionArea(polygonBoolean(rect(0, 0, 4, 4), rect(2, 0, 6, 2), "intersection")), 4);
+   const collinearUnion = polygonBoolean(rect(0, 0, 4, 4), rect(2, 0, 6, 2), "union");
+   assert.equal(collinearUnion.length, 1);
+   assert.equal(regionArea(collinearUnion), 20);
+
+   //Quadrados que só se tocam num vértice saem separados
+   const touching = polygonBoolean(rect(0, 0, 2, 2), rect(2, 2, 4, 4), "union");
+   assert.equal(touching.length, 2);
+   assert.equal(regionArea(touching), 8);
+   assert.deepEqual(polygonBoolean(rect(0, 0, 2, 2), rect(2, 2, 4, 4), "intersection"), []);
+
+   //Polígonos iguais
+   const square = rect(0, 0, 4, 4);
+   assert.equal(regionArea(polygonBoolean(square, square, "intersection")), 16);
+   assert.equal(regionArea(polygonBoolean(square, square, "union")), 16);
+   assert.deepEqual(polygonBoolean(square, square, "difference"), []);
+   assert.deepEqual(polygonBoolean(square, square, "xor"), []);
+ });
+
+ test("clipConvex e convexOverlapArea", () => {
+   const a = rect(0, 0, 4, 4);
+   const b = rect(2, 1, 6, 5);
+   assert.deepEqual(fromLowest(clipConvex(a, b)), [[2, 1], [4, 1], [4, 4], [2, 4]]);
+   assert.equal(convexOverlapArea(a, b), 6);
+   //Simétrica, e aceita o recorte em qualquer circulação
+   assert.equal(convexOverlapArea(b, a), 6);
+   assert.equal(convexOverlapArea(a, b.slice().reverse()), 6);
+   //Um contido no outro, disjuntos e só se tocando
+   assert.equal(convexOverlapArea(a, rect(1, 1, 2, 2)), 1);
+   assert.equal(convexOverlapArea(rect(1, 1, 2, 2), a), 1);
+   assert.deepEqual(clipConvex(a, rect(10, 10, 12, 12)), []);
+   assert.equal(convexOverlapArea(a, rect(10, 10, 12, 12)), 0);
+   assert.equal(convexOverlapArea(a, rect(4, 0, 8, 4)), 0);
+   //Um polígono côncavo recortado por um convexo mantém a área da interseção
+   const lShape = [[0, 0], [4, 0], [4, 2], [2, 2], [2, 4], [0, 4]];
+   assert.equal(Math.abs(polygonArea(clipConvex(lShape, rect(1, 1, 3, 3)))), 3);
+ });
+
+ test("circlePolygonOverlapArea", () => {
+   const square = rect(0, 0, 4, 4);
+   const near = (x, y) => Math.abs(x - y) < 1e-12;
+   //Círculo dentro do quadrado, quadrado dentro do círculo e círculo fora
+   assert.ok(near(circlePolygonOverlapArea([2, 2], 1, square), Math.PI));
+   assert.ok(near(circlePolygonOverlapArea([2, 2], 10, square), 16));
+   assert.equal(circlePolygonOverlapArea([20, 20], 1, square), 0);
+   //Centro num canto e no meio de uma aresta
+   assert.ok(near(circlePolygonOverlapArea([0, 0], 2, square), Math.PI));
+   assert.ok(near(circlePolygonOverlapArea([2, 0], 1, square), Math.PI / 2));
+   //Não depende da circulação do polígono
+   assert.ok(near(circlePolygonOverlapArea([0, 0], 2, square.slice().reverse()), Math.PI));
+ });
+
+ test("selfIntersections e isSimple", () => {
+   assert.deepEqual(selfIntersections(rect(0, 0, 4, 4)), []);
+   assert.ok(isSimple(star));
+   //Gravata: as arestas 0 e 2 se cruzam
+   const bowtie = [[0, 0], [2, 2], [2, 0], [0, 2]];
+   assert.deepEqual(selfIntersections(bowtie), [[0, 2]]);
+   assert.ok(!isSimple(bowtie));
+   //Vértices que só se tocam: o contorno passa duas vezes por [2, 2]
+   const pinched = [[0, 0], [2, 2], [4, 0], [4, 4], [2, 2], [0, 4]];
+   assert.ok(!isSimple(pinched));
+   //Um vértice repetido gera uma aresta nula, e as vizinhas a ela são reportadas
+   assert.deepEqual(selfIntersections([[0, 0], [4, 0], [4, 0], [4, 4], [0, 4]]), [[0, 2]]);
+   assert.ok(!isSimple([[0, 0], [1, 1]]));
+ });
+
+ test("repairPolygon remove repetições, colineares e espinhos", () => {
+   //Vértice colinear e vértice repetido
+   const messy = [[0, 0], [2, 0], [4, 0], [4, 0], [4, 4], [0, 4]];
+   assert.deepEqual(fromLowest(repairPolygon(messy, "CW")), rect(0, 0, 4, 4));
+   //Espinho: o contorno sobe até [2, 6] e volta pelo mesmo caminho
+   const spike = [[0, 0], [4, 0], [4, 4], [2, 4], [2, 6], [2, 4], [0, 4]];
+   assert.ok(!isSimple(spike));
+   const repaired = repairPolygon(spike);
+   assert.ok(isSimple(repaired));
+   assert.equal(repaired.length, 4);
+   assert.equal(orientation(repaired), "CCW");
+   assert.equal(Math.abs(polygonArea(repaired)), 16);
+   //Sem área, não sobra nada; a entrada não é alterada
+   assert.deepEqual(repairPolygon([[0, 0], [1, 1], [2, 2]]), []);
+   assert.equal(messy.length, 6);
+ });
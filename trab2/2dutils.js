@@ -21,12 +21,12 @@
  *     - sudo port install npm7 (or npm8)
  *     - sudo npm install -g jsdoc
  *  - jsdoc -d docUtil util2d.js
- *
- *  Requirements:
- *  - npm init
- *  - npm install gl-matrix
  *  </pre>
  *
+ *  <p>O módulo não tem dependências: a álgebra de vetores e matrizes que ele usa
+ *  está implementada abaixo, de forma que pode ser importado tanto no navegador
+ *  quanto no Node.</p>
+ *
  *  @author Paulo Roma & Claudio Esperança
  *  @since 08/08/2022
  *  @see http://lcg.ufrj.br/cwdc/10-html5css3/circRec.html
@@ -36,6 +36,45 @@
  */
  "use strict";
 
+ // Álgebra mínima de vetores 2d: cada operação retorna um novo array
+
+ //Diferença u - v
+ function sub(u, v) {
+   return [u[0] - v[0], u[1] - v[1]];
+ }
+
+ //Produto de u pelo escalar k
+ function scale(u, k) {
+   return [u[0] * k, u[1] * k];
+ }
+
+ //Produto escalar
+ function dot(u, v) {
+   return u[0] * v[0] + u[1] * v[1];
+ }
+
+ //Componente z do produto vetorial
+ function cross(u, v) {
+   return u[0] * v[1] - u[1] * v[0];
+ }
+
+ //Comprimento
+ function len(u) {
+   return Math.hypot(u[0], u[1]);
+ }
+
+ //Vetor unitário na direção de u, ou [0, 0] se u é nulo, como vec2.normalize do gl-matrix
+ function normalize(u) {
+   const l = len(u);
+   return l == 0 ? [0, 0] : scale(u, 1 / l);
+ }
+
+ //Determinante de uma matriz 3x3 por coluna, calculado como em mat3.determinant do gl-matrix
+ function determinant3(m) {
+   const [a00, a01, a02, a10, a11, a12, a20, a21, a22] = m;
+   return a00 * (a22 * a11 - a12 * a21) + a01 * (-a22 * a10 + a12 * a20) + a02 * (a21 * a10 - a11 * a20);
+ }
+
  /**
   * Distância entre dois pontos.
   * @param {Number[]} param0 primeiro ponto.
@@ -46,21 +85,239 @@
    return Math.hypot(x1 - x0, y1 - y0);
  }
  
+ /**
+  * <p>Modo dos predicados orient e inCircle, quando não é dado na chamada:</p>
+  * <ul>
+  *  <li>"float": o sinal do determinante calculado em ponto flutuante,
+  *  que pode errar para pontos quase colineares (ou quase cocirculares);</li>
+  *  <li>"exact": o sinal exato do determinante, calculado de forma adaptativa;</li>
+  *  <li>um número epsilon: zero se o valor absoluto do determinante, calculado
+  *  em ponto flutuante, não passa de epsilon vezes a sua escala, e o sinal
+  *  do determinante caso contrário. A escala é um produto de distâncias
+  *  com a mesma unidade do determinante; em orient, |b - a|·|c - a|,
+  *  de forma que epsilon limita o seno do ângulo em a.</li>
+  * </ul>
+  * @type {String|Number}
+  */
+ let predicateMode = "float";
+
+ //Lança um erro se mode não é um modo válido para os predicados
+ function checkMode(mode) {
+   if (mode == "float" || mode == "exact" || (typeof mode == "number" && mode >= 0)) return mode;
+   throw new Error(`Unknown predicate mode: ${mode}`);
+ }
+
+ /**
+  * Muda o modo padrão dos predicados orient e inCircle,
+  * e portanto dos que dependem deles, como pointInPoly e segmentsIntersect.
+  * @param {String|Number} mode "float", "exact" ou um epsilon.
+  * @throws {Error} se o modo for inválido.
+  * @see predicateMode
+  */
+ export function setPredicateMode(mode) {
+   predicateMode = checkMode(mode);
+ }
+
+ /**
+  * Modo padrão corrente dos predicados.
+  * @returns {String|Number} "float", "exact" ou um epsilon.
+  */
+ export function getPredicateMode() {
+   return predicateMode;
+ }
+
+ // Aritmética de expansões de Shewchuk: um número é representado exatamente
+ // pela soma de um array de números de ponto flutuante que não se sobrepõem,
+ // em ordem crescente de magnitude.
+
+ // Épsilon da máquina, 2^-53
+ const machineEpsilon = Number.EPSILON / 2;
+ // 2^27 + 1, para dividir um número em duas metades de 26 bits
+ const splitter = 134217729;
+ // Limites do erro das avaliações em ponto flutuante
+ const orientErrorBound = (3 + 16 * machineEpsilon) * machineEpsilon;
+ const inCircleErrorBound = (10 + 96 * machineEpsilon) * machineEpsilon;
+
+ //Soma exata: a + b == x + y, com x = fl(a + b)
+ function twoSum(a, b) {
+   const x = a + b;
+   const bv = x - a;
+   const av = x - bv;
+   return [x, a - av + (b - bv)];
+ }
+
+ //Divide a em duas metades, hi + lo == a, cada uma com no máximo 26 bits
+ function split(a) {
+   const c = splitter * a;
+   const hi = c - (c - a);
+   return [hi, a - hi];
+ }
+
+ //Produto exato: a * b == x + y, com x = fl(a * b)
+ function twoProduct(a, b) {
+   const x = a * b;
+   const [ahi, alo] = split(a);
+   const [bhi, blo] = split(b);
+   const err = x - ahi * bhi - alo * bhi - ahi * blo;
+   return [x, alo * blo - err];
+ }
+
+ //Expansão e + b, sem componentes nulos
+ function growExpansion(e, b) {
+   const h = [];
+   let q = b;
+   for (const ei of e) {
+     const [sum, err] = twoSum(q, ei);
+     if (err != 0) h.push(err);
+     q = sum;
+   }
+   if (q != 0 || h.length == 0) h.push(q);
+   return h;
+ }
+
+ //Expansão e + f
+ function expansionSum(e, f) {
+   return f.reduce(growExpansion, e);
+ }
+
+ //Expansão e * b, sem componentes nulos
+ function scaleExpansion(e, b) {
+   const h = [];
+   let [q, err] = twoProduct(e[0], b);
+   if (err != 0) h.push(err);
+   for (let i = 1; i < e.length; i++) {
+     const [product, productErr] = twoProduct(e[i], b);
+     let sum;
+     [sum, err] = twoSum(q, productErr);
+     if (err != 0) h.push(err);
+     [q, err] = twoSum(product, sum);
+     if (err != 0) h.push(err);
+   }
+   if (q != 0 || h.length == 0) h.push(q);
+   return h;
+ }
+
+ //Expansão e * f
+ function expansionProduct(e, f) {
+   return f.map((fi) => scaleExpansion(e, fi)).reduce(expansionSum);
+ }
+
+ //Diferença exata a - b como expansão
+ function difference(a, b) {
+   const [x, y] = twoSum(a, -b);
+   return y == 0 ? [x] : [y, x];
+ }
+
+ //Sinal de uma expansão: o do seu componente de maior magnitude
+ function expansionSign(e) {
+   return Math.sign(e[e.length - 1]);
+ }
+
+ //Sinal exato de (b - a) x (c - a)
+ function orientExact(a, b, c) {
+   const left = expansionProduct(difference(b[0], a[0]), difference(c[1], a[1]));
+   const right = expansionProduct(difference(b[1], a[1]), difference(c[0], a[0]));
+   return expansionSign(expansionSum(left, right.map((v) => -v)));
+ }
+
+ //Sinal exato do determinante de inCircle, com os pontos transladados para d
+ function inCircleExact(a, b, c, d) {
+   const [adx, ady, bdx, bdy, cdx, cdy] = [a, b, c]
+     .flatMap((p) => [difference(p[0], d[0]), difference(p[1], d[1])]);
+   const lift = (x, y) => expansionSum(expansionProduct(x, x), expansionProduct(y, y));
+   const minor = (x1, y1, x2, y2) =>
+     expansionSum(expansionProduct(x1, y2), expansionProduct(y1, x2).map((v) => -v));
+   const det = [
+     expansionProduct(lift(adx, ady), minor(bdx, bdy, cdx, cdy)),
+     expansionProduct(lift(bdx, bdy), minor(cdx, cdy, adx, ady)),
+     expansionProduct(lift(cdx, cdy), minor(adx, ady, bdx, bdy)),
+   ].reduce(expansionSum);
+   return expansionSign(det);
+ }
+
  /**
   * <p>Retorna -1, 1 ou 0 conforme a circulação entre os pontos a, b e c seja:
   * anti-horária, horária ou nula (pontos colineares).</p>
   *
   * Observe que usamos um sistema de coordenadas onde o eixo y aponta para baixo,
   * o que faz com que o sinal do operador seja invertido.
+  *
+  * <p>No modo "exact", o determinante é primeiro avaliado em ponto flutuante,
+  * e o seu sinal só é aceito se o valor absoluto supera o limite do erro
+  * de arredondamento. Caso contrário, o que só acontece para pontos (quase)
+  * colineares, o sinal é calculado exatamente com a aritmética de expansões
+  * de Shewchuk.</p>
   * @param {Number[]} a primeiro ponto.
   * @param {Number[]} b segundo ponto.
   * @param {Number[]} c terceiro ponto.
+  * @param {String|Number} mode "float", "exact" ou um epsilon.
   * @returns {Number} circulação.
+  * @see predicateMode
+  * @see https://www.cs.cmu.edu/~quake/robust.html
   */
- export function orient(a, b, c) {
-   return Math.sign(
-     mat3.determinant([1, a[0], a[1], 1, b[0], b[1], 1, c[0], c[1]])
-   );
+ export function orient(a, b, c, mode = predicateMode) {
+   if (checkMode(mode) == "float") {
+     return Math.sign(
+       determinant3([1, a[0], a[1], 1, b[0], b[1], 1, c[0], c[1]])
+     );
+   }
+   const left = (b[0] - a[0]) * (c[1] - a[1]);
+   const right = (b[1] - a[1]) * (c[0] - a[0]);
+   const det = left - right;
+   if (mode != "exact") return Math.abs(det) <= mode * dist(a, b) * dist(a, c) ? 0 : Math.sign(det);
+   if (Math.abs(det) > orientErrorBound * (Math.abs(left) + Math.abs(right))) return Math.sign(det);
+   return orientExact(a, b, c);
+ }
+
+ /**
+  * <p>Predicado ponto no círculo: retorna 1, -1 ou 0 conforme o ponto d esteja
+  * dentro, fora ou sobre o círculo que passa por a, b e c.</p>
+  *
+  * <p>O resultado é o sinal do determinante</p>
+  * <pre>
+  *  | ax - dx   ay - dy   (ax - dx)² + (ay - dy)² |
+  *  | bx - dx   by - dy   (bx - dx)² + (by - dy)² |
+  *  | cx - dx   cy - dy   (cx - dx)² + (cy - dy)² |
+  * </pre>
+  * multiplicado pelo de orient(a, b, c), de forma que não depende da circulação
+  * de a, b e c. Se eles são colineares, o resultado é 0.
+  * Os modos são os mesmos de orient, aplicados aos dois determinantes.
+  * @param {Number[]} a primeiro ponto do círculo.
+  * @param {Number[]} b segundo ponto do círculo.
+  * @param {Number[]} c terceiro ponto do círculo.
+  * @param {Number[]} d ponto testado.
+  * @param {String|Number} mode "float", "exact" ou um epsilon.
+  * @returns {Number} 1 dentro, -1 fora e 0 sobre o círculo.
+  * @see predicateMode
+  */
+ export function inCircle(a, b, c, d, mode = predicateMode) {
+   const o = orient(a, b, c, mode);
+   if (o == 0) return 0;
+   const [adx, ady] = [a[0] - d[0], a[1] - d[1]];
+   const [bdx, bdy] = [b[0] - d[0], b[1] - d[1]];
+   const [cdx, cdy] = [c[0] - d[0], c[1] - d[1]];
+   const alift = adx * adx + ady * ady;
+   const blift = bdx * bdx + bdy * bdy;
+   const clift = cdx * cdx + cdy * cdy;
+   const det =
+     alift * (bdx * cdy - cdx * bdy) + blift * (cdx * ady - adx * cdy) + clift * (adx * bdy - bdx * ady);
+   let s;
+   if (mode == "float") {
+     s = Math.sign(det);
+   } else if (mode == "exact") {
+     const permanent =
+       alift * (Math.abs(bdx * cdy) + Math.abs(cdx * bdy)) +
+       blift * (Math.abs(cdx * ady) + Math.abs(adx * cdy)) +
+       clift * (Math.abs(adx * bdy) + Math.abs(bdx * ady));
+     s = Math.abs(det) > inCircleErrorBound * permanent ? Math.sign(det) : inCircleExact(a, b, c, d);
+   } else {
+     // Escala: as distâncias de a, b e c até d, combinadas como nos termos do determinante
+     const [ad, bd, cd] = [a, b, c].map((p) => dist(p, d));
+     const scale = alift * bd * cd + blift * cd * ad + clift * ad * bd;
+     s = Math.abs(det) <= mode * scale ? 0 : Math.sign(det);
+   }
+   // O determinante é positivo dentro do círculo quando orient(a, b, c) == 1
+   return s * o;
  }
  
  /**
@@ -69,12 +326,13 @@
   * @param {Number[]} b vértice final.
   * @param {Number[]} c vértice inicial.
   * @param {Number[]} d vértice final.
+  * @param {String|Number} mode modo de orient.
   * @returns {Boolean} true se e somente se dois segmentos de reta se intersectam.
   */
- export function segmentsIntersect(a, b, c, d) {
+ export function segmentsIntersect(a, b, c, d, mode = predicateMode) {
    return (
-     Math.abs(orient(a, b, c) - orient(a, b, d)) >= 1 &&
-     Math.abs(orient(c, d, a) - orient(c, d, b)) >= 1
+     Math.abs(orient(a, b, c, mode) - orient(a, b, d, mode)) >= 1 &&
+     Math.abs(orient(c, d, a, mode) - orient(c, d, b, mode)) >= 1
    );
  }
  
@@ -86,13 +344,14 @@
   * @param {Number[]} b vértice final.
   * @param {Number[]} c vértice inicial.
   * @param {Number[]} d vértice final.
+  * @param {String|Number} mode modo de orient.
   * @returns {Boolean} true somente se a interseção
   * entre o os dois segmentos é própria.
   */
- export function segmentsIntersectProper(a, b, c, d) {
+ export function segmentsIntersectProper(a, b, c, d, mode = predicateMode) {
    return (
-     Math.abs(orient(a, b, c) - orient(a, b, d)) == 2 &&
-     Math.abs(orient(c, d, a) - orient(c, d, b)) == 2
+     Math.abs(orient(a, b, c, mode) - orient(a, b, d, mode)) == 2 &&
+     Math.abs(orient(c, d, a, mode) - orient(c, d, b, mode)) == 2
    );
  }
  
@@ -103,13 +362,14 @@
   * Se a orientação é consistentemente positiva ou negativa, p está dentro de poly.
   * @param {Number[]} p ponto.
   * @param {Array<Number>} poly polígono.
+  * @param {String|Number} mode modo de orient.
   * @returns {Boolean} true.
   */
- export function pointInConvexPoly(p, poly) {
+ export function pointInConvexPoly(p, poly, mode = predicateMode) {
    let prevPoint = poly[poly.length - 1];
    let prevOrient = 0;
    for (let q of poly) {
-     const o = orient(prevPoint, q, p);
+     const o = orient(prevPoint, q, p, mode);
      if (Math.abs(o - prevOrient) > 1) return false;
      prevOrient = o;
      prevPoint = q;
@@ -132,14 +392,96 @@
   * @param {Number[]} v1 vértice final.
   * @param {Number[]} p2 vértice inicial.
   * @param {Number[]} v2 vértice final.
-  * @returns {Array<Number>} ponto de interseção.
+  * @returns {Array<Number>|null} ponto de interseção, ou null se as retas são paralelas.
   */
  export function lineLineIntersection(p1, v1, p2, v2) {
    const D = v1[0] * v2[1] - v1[1] * v2[0];
+   if (D == 0) return null;
    const t = (v2[1] * (p2[0] - p1[0]) + p1[1] * v2[0] - p2[1] * v2[0]) / D;
    return [p1[0] + v1[0] * t, p1[1] + v1[1] * t];
  }
  
+ /**
+  * <p>Interseção entre os segmentos a-b e c-d, com a sua classificação.</p>
+  *
+  * <p>Com r = b - a e s = d - c, os pontos dos segmentos são a + t·r e c + u·s,
+  * com t e u em [0, 1]. O resultado é um dos objetos:</p>
+  * <ul>
+  *  <li>{ type: "none" }: os segmentos não se tocam;</li>
+  *  <li>{ type: "point", point, t, u }: um único ponto comum, inclusive quando
+  *  segmentos colineares apenas se tocam numa extremidade;</li>
+  *  <li>{ type: "overlap", points: [p, q], t: [t0, t1], u: [u0, u1] }: segmentos
+  *  colineares que se sobrepõem no sub-segmento p-q, com t0 &lt; t1.</li>
+  * </ul>
+  *
+  * <p>epsilon é uma tolerância de distância, nas unidades das coordenadas:
+  * os segmentos são paralelos se um deles se afasta menos de epsilon da direção
+  * do outro ao longo do seu comprimento, colineares se, além disso, a distância
+  * entre as retas é no máximo epsilon, e um ponto a até epsilon além
+  * de uma extremidade ainda conta como sobre o segmento.
+  * Segmentos de comprimento até epsilon são tratados como pontos.</p>
+  * @param {Number[]} a vértice inicial do primeiro segmento.
+  * @param {Number[]} b vértice final do primeiro segmento.
+  * @param {Number[]} c vértice inicial do segundo segmento.
+  * @param {Number[]} d vértice final do segundo segmento.
+  * @param {Number} epsilon tolerância.
+  * @returns {Object} classificação e pontos de interseção.
+  */
+ export function segmentIntersection(a, b, c, d, epsilon = 1e-9) {
+   const at = (p, v, t) => [p[0] + t * v[0], p[1] + t * v[1]];
+   const clamp = (t) => Math.min(1, Math.max(0, t));
+   const r = sub(b, a);
+   const s = sub(d, c);
+   const lr = len(r);
+   const ls = len(s);
+   const ac = sub(c, a);
+   const none = { type: "none" };
+
+   // Segmentos degenerados: pontos
+   if (lr <= epsilon && ls <= epsilon) {
+     return dist(a, c) <= epsilon ? { type: "point", point: a.slice(), t: 0, u: 0 } : none;
+   }
+   if (lr <= epsilon) {
+     if (distToSegment(a, c, d) > epsilon) return none;
+     return { type: "point", point: a.slice(), t: 0, u: clamp(dot(sub(a, c), s) / (ls * ls)) };
+   }
+   if (ls <= epsilon) {
+     if (distToSegment(c, a, b) > epsilon) return none;
+     return { type: "point", point: c.slice(), t: clamp(dot(ac, r) / (lr * lr)), u: 0 };
+   }
+
+   // |D| = lr·ls·sen θ; o mais curto se afasta |D| / max(lr, ls) da direção do outro
+   const D = cross(r, s);
+   if (Math.abs(D) <= epsilon * Math.max(lr, ls)) {
+     // Paralelos: só há interseção se forem colineares
+     if (Math.abs(cross(ac, r)) / lr > epsilon) return none;
+     // Parâmetros de c e d sobre a-b, e de a e b sobre c-d
+     const tc = dot(ac, r) / (lr * lr);
+     const td = dot(sub(d, a), r) / (lr * lr);
+     const lo = Math.max(0, Math.min(tc, td));
+     const hi = Math.min(1, Math.max(tc, td));
+     if ((lo - hi) * lr > epsilon) return none;
+     const uOf = (t) => clamp(dot(sub(at(a, r, t), c), s) / (ls * ls));
+     if ((hi - lo) * lr <= epsilon) {
+       const t = (lo + hi) / 2;
+       return { type: "point", point: at(a, r, t), t, u: uOf(t) };
+     }
+     return {
+       type: "overlap",
+       points: [at(a, r, lo), at(a, r, hi)],
+       t: [lo, hi],
+       u: [uOf(lo), uOf(hi)],
+     };
+   }
+
+   const t = cross(ac, s) / D;
+   const u = cross(ac, r) / D;
+   const et = epsilon / lr;
+   const eu = epsilon / ls;
+   if (t < -et || t > 1 + et || u < -eu || u > 1 + eu) return none;
+   return { type: "point", point: at(a, r, clamp(t)), t: clamp(t), u: clamp(u) };
+ }
+
  /**
   * Dados 2 vetores u e v, retorna o vetor u projetado sobre v.
   * @param {Number[]} u vetor.
@@ -148,8 +490,8 @@
   * @see <img src="../img/proj.png" width="512">
   */
  export function vectorProj(u, v) {
-   const vnorm = vec2.normalize([], v);
-   return vec2.scale([], vnorm, vec2.dot(vnorm, u));
+   const vnorm = normalize(v);
+   return scale(vnorm, dot(vnorm, u));
  }
  
  /**
@@ -162,9 +504,9 @@
   * @see <img src="../img/dist-point-line.png" width="256">
   */
  export function distToLine(q, p, v) {
-   const pq = vec2.sub([], q, p);
+   const pq = sub(q, p);
    const pqProj = vectorProj(pq, v);
-   return vec2.len(vec2.sub([], pq, pqProj));
+   return len(sub(pq, pqProj));
  }
  
  /**
@@ -185,14 +527,14 @@
   * @see <img src="../img/dist-point-seg.png" width="512">
   */
  export function distToSegment(p, a, b) {
-   const v = vec2.sub([], b, a);
+   const v = sub(b, a);
    const vlen = dist(a, b);
-   const vnorm = vec2.scale([], v, 1 / vlen);
-   const ap = vec2.sub([], p, a);
-   const t = vec2.dot(vnorm, ap);
+   const vnorm = scale(v, 1 / vlen);
+   const ap = sub(p, a);
+   const t = dot(vnorm, ap);
    if (t < 0) return dist(p, a);
    if (t > vlen) return dist(p, b);
-   return vec2.len(vec2.sub([], ap, vec2.scale([], vnorm, t)));
+   return len(sub(ap, scale(vnorm, t)));
  }
  
  /**
@@ -258,10 +600,11 @@
   * daqueles onde ele apenas toca a borda (b).
   * @param {Number[]} p ponto.
   * @param {Array<Number>} poly polígono.
+  * @param {String|Number} mode modo de orient.
   * @returns {Boolean} true se e somente se o ponto p está dentro do polígono simples.
   * @see <img src="../img/point-in-poly.png" width="512">
   */
- export function pointInPoly(p, poly) {
+ export function pointInPoly(p, poly, mode = predicateMode) {
    // The y coordinate of p
    const py = p[1];
    // 1d orientation of a point's y with respect to py
@@ -279,9 +622,9 @@
      const yOr = yOrient(q);
      if (Math.abs(yOr - prevYOr) >= 1) {
        // Point within y range of segment prev-q
-       const pOr = orient(prev, q, p);
-       const far = [Math.max(prev[0], q[0]) * 2, py]; // Point to the right of segment prev-q
-       const farOr = orient(prev, q, far);
+       const pOr = orient(prev, q, p, mode);
+       const far = [Math.max(prev[0], q[0]) + 1, py]; // Point to the right of segment prev-q
+       const farOr = orient(prev, q, far, mode);
        if (Math.abs(pOr - farOr) == 2) {
          // segment p-far crosses segment prev-q
          if (yOr == 0) {
@@ -300,4 +643,725 @@
    }
    return count % 2 == 1;
  }
- 
\ No newline at end of file
+ 
+ /**
+  * <p>Triangulação de um polígono simples por remoção de orelhas (ear clipping).</p>
+  *
+  * <p>Uma orelha é um vértice convexo v, com vizinhos u e w, tal que nenhum outro
+  * vértice restante está dentro ou sobre o triângulo u-v-w.
+  * Todo polígono simples com mais de três vértices tem pelo menos duas orelhas,
+  * e remover uma delas deixa um polígono simples com um vértice a menos.</p>
+  *
+  * <p>A circulação do polígono é dada pelo sinal de sua área,
+  * de forma que ambas as orientações são aceitas: um vértice é convexo
+  * quando orient(u, v, w) tem o mesmo sinal da área.</p>
+  *
+  * Vértices colineares com os seus vizinhos (orient nulo), inclusive vértices repetidos,
+  * não formam triângulos: são removidos sem gerar triângulos degenerados,
+  * e por isso podem não aparecer em nenhum triângulo.
+  * Se os erros de arredondamento impedirem que alguma orelha seja encontrada,
+  * o primeiro vértice convexo é removido, de forma que o algoritmo sempre termina.
+  * @param {Array<Number[]>} poly polígono simples.
+  * @returns {Array<Number[]>} triângulos, como triplas de índices de poly,
+  * na mesma circulação do polígono.
+  */
+ export function triangulate(poly) {
+   const s = Math.sign(polygonArea(poly));
+   if (s == 0) return [];
+   // Índices dos vértices restantes, na ordem do contorno
+   const remaining = poly.map((_, i) => i);
+   const triangles = [];
+   const corner = (k) => {
+     const n = remaining.length;
+     return [remaining[(k + n - 1) % n], remaining[k], remaining[(k + 1) % n]];
+   };
+   // Orientação do canto do k-ésimo vértice restante
+   const turn = (k) => {
+     const [iu, iv, iw] = corner(k);
+     return orient(poly[iu], poly[iv], poly[iw]);
+   };
+   const isEar = (k) => {
+     if (turn(k) != s) return false;
+     const [iu, iv, iw] = corner(k);
+     const [u, v, w] = [poly[iu], poly[iv], poly[iw]];
+     for (const j of remaining) {
+       if (j == iu || j == iv || j == iw) continue;
+       const q = poly[j];
+       // Dentro ou sobre a borda: nenhuma das orientações é contrária à do polígono
+       if (orient(u, v, q) != -s && orient(v, w, q) != -s && orient(w, u, q) != -s) {
+         return false;
+       }
+     }
+     return true;
+   };
+   while (remaining.length > 3) {
+     const ks = remaining.map((_, k) => k);
+     // Vértice colinear com os vizinhos: removido sem gerar triângulo
+     const flat = ks.find((k) => turn(k) == 0);
+     if (flat !== undefined) {
+       remaining.splice(flat, 1);
+       continue;
+     }
+     let ear = ks.find(isEar);
+     if (ear === undefined) ear = ks.find((k) => turn(k) == s) ?? 0;
+     triangles.push(corner(ear));
+     remaining.splice(ear, 1);
+   }
+   if (remaining.length == 3) {
+     const [a, b, c] = remaining.map((i) => poly[i]);
+     if (orient(a, b, c) != 0) triangles.push(remaining.slice());
+   }
+   return triangles;
+ }
+
+ //Coloca os vértices de um fecho, dado com orient(a, b, c) == 1 entre vértices
+ //consecutivos, na circulação pedida
+ function hullOrder(hull, clockwise) {
+   return clockwise ? hull : hull.reverse();
+ }
+
+ /**
+  * <p>Fecho convexo de um conjunto de pontos pelo algoritmo da cadeia monótona
+  * de Andrew, em O(n log n).</p>
+  *
+  * <p>Os pontos são ordenados por x (e por y, no empate) e as cadeias inferior
+  * e superior são construídas descartando, com orient, os vértices que não fazem
+  * uma curva no sentido do fecho.</p>
+  *
+  * <p>Pontos repetidos são considerados uma só vez e pontos colineares sobre as
+  * arestas do fecho são descartados, de forma que só os cantos são retornados.
+  * Se todos os pontos são colineares, o fecho é o segmento entre os extremos;
+  * se são todos iguais, um único ponto.</p>
+  *
+  * Como em orient, o eixo y aponta para baixo: na circulação anti-horária vista
+  * na tela, orient(a, b, c) == -1 para três vértices consecutivos do fecho.
+  * @param {Array<Number[]>} points pontos.
+  * @param {Boolean} clockwise circulação horária (true) ou anti-horária (false), vista na tela.
+  * @returns {Array<Number[]>} vértices do fecho, sem repetir o primeiro no final.
+  * @see https://en.wikibooks.org/wiki/Algorithm_Implementation/Geometry/Convex_hull/Monotone_chain
+  */
+ export function convexHull(points, clockwise = false) {
+   const sorted = points
+     .slice()
+     .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+     .filter((p, i, a) => i == 0 || p[0] != a[i - 1][0] || p[1] != a[i - 1][1]);
+   if (sorted.length < 3) return hullOrder(sorted, clockwise);
+   const chain = (list) => {
+     const h = [];
+     for (const p of list) {
+       while (h.length >= 2 && orient(h[h.length - 2], h[h.length - 1], p) <= 0) h.pop();
+       h.push(p);
+     }
+     // O último ponto de uma cadeia é o primeiro da outra
+     h.pop();
+     return h;
+   };
+   const hull = [...chain(sorted), ...chain(sorted.slice().reverse())];
+   return hullOrder(hull, clockwise);
+ }
+
+ /**
+  * <p>Fecho convexo incremental (online): os pontos chegam um a um e o fecho
+  * é mantido a cada inserção, em O(h) por ponto, sendo h o número de vértices do fecho.</p>
+  *
+  * Um ponto dentro ou sobre a borda do fecho é ignorado. Caso contrário,
+  * as arestas visíveis a partir dele, aquelas em que orient(a, b, p) <= 0,
+  * formam uma cadeia contígua, cujos vértices internos são substituídos pelo ponto.
+  * Pontos repetidos e colineares são tratados como em convexHull.
+  * @class
+  */
+ export class ConvexHull {
+   /**
+    * @constructs ConvexHull
+    * @param {Array<Number[]>} points pontos iniciais.
+    */
+   constructor(points = []) {
+     /** Vértices do fecho, com orient(a, b, c) == 1 entre vértices consecutivos. */
+     this.hull = [];
+     for (const p of points) this.add(p);
+   }
+
+   /**
+    * Insere um ponto.
+    * @param {Number[]} p ponto.
+    * @returns {Boolean} true se o fecho mudou.
+    */
+   add(p) {
+     const h = this.hull;
+     const n = h.length;
+     if (n == 0 || (n == 1 && (h[0][0] != p[0] || h[0][1] != p[1]))) {
+       h.push(p);
+       return true;
+     }
+     if (n == 1) return false;
+     if (n == 2) {
+       const o = orient(h[0], h[1], p);
+       if (o != 0) {
+         // Primeiro triângulo, já na circulação do fecho
+         this.hull = o > 0 ? [h[0], h[1], p] : [h[0], p, h[1]];
+         return true;
+       }
+       // Colinear: ficam os dois pontos mais distantes entre si
+       const [a, b] = h;
+       if (dist(a, p) > dist(a, b) && dist(a, p) >= dist(b, p)) this.hull = [a, p];
+       else if (dist(b, p) > dist(a, b)) this.hull = [p, b];
+       else return false;
+       return true;
+     }
+     const visible = h.map((a, i) => orient(a, h[(i + 1) % n], p));
+     if (visible.every((o) => o >= 0)) return false;
+     // Primeira e última arestas da cadeia visível
+     const first = visible.findIndex((o, i) => o <= 0 && visible[(i + n - 1) % n] > 0);
+     let last = first;
+     while (visible[(last + 1) % n] <= 0) last = (last + 1) % n;
+     // Ficam os vértices de last + 1 até first, e p fecha a cadeia
+     const kept = [];
+     for (let i = (last + 1) % n; ; i = (i + 1) % n) {
+       kept.push(h[i]);
+       if (i == first) break;
+     }
+     kept.push(p);
+     this.hull = kept;
+     return true;
+   }
+
+   /**
+    * Vértices do fecho na circulação pedida.
+    * @param {Boolean} clockwise circulação horária (true) ou anti-horária (false), vista na tela.
+    * @returns {Array<Number[]>} vértices do fecho.
+    */
+   points(clockwise = false) {
+     return hullOrder(this.hull.slice(), clockwise);
+   }
+ }
+
+ //Região dada por um polígono ou por um array de anéis
+ function regionRings(region) {
+   return region.length && typeof region[0][0] == "number" ? [region] : region;
+ }
+
+ //Retorna true se o ponto p está dentro da região dada pelos anéis rings (regra par-ímpar)
+ function pointInRings(p, rings) {
+   return rings.filter((ring) => pointInPoly(p, ring)).length % 2 == 1;
+ }
+
+ //Aresta de algum anel a no máximo epsilon do ponto p, ou undefined
+ function edgeNear(p, rings, epsilon) {
+   for (const ring of rings) {
+     for (let i = 0; i < ring.length; i++) {
+       const a = ring[i];
+       const b = ring[(i + 1) % ring.length];
+       if (dist(a, b) > 0 && distToSegment(p, a, b) <= epsilon) return [a, b];
+     }
+   }
+   return undefined;
+ }
+
+ //Remove os vértices repetidos (a no máximo epsilon do seguinte) e os vértices
+ //a no máximo epsilon da reta entre os seus vizinhos: colineares e pontas de espinhos
+ function dropDegenerate(ring, epsilon) {
+   let changed = true;
+   while (changed && ring.length >= 3) {
+     changed = false;
+     for (let i = 0; i < ring.length && ring.length >= 3; i++) {
+       const n = ring.length;
+       const prev = ring[(i + n - 1) % n];
+       const next = ring[(i + 1) % n];
+       if (
+         dist(ring[i], next) <= epsilon ||
+         dist(prev, next) <= epsilon ||
+         distToLine(ring[i], prev, sub(next, prev)) <= epsilon
+       ) {
+         ring.splice(i, 1);
+         changed = true;
+       }
+     }
+   }
+   // Restam no máximo dois vértices: repetidos são reduzidos a um
+   if (ring.length == 2 && dist(ring[0], ring[1]) <= epsilon) ring.pop();
+   return ring;
+ }
+
+ /**
+  * <p>Operações booleanas entre duas regiões planas: interseção, união,
+  * diferença e diferença simétrica (xor).</p>
+  *
+  * <p>Cada região é um polígono simples, côncavo ou não, ou um array de anéis,
+  * interpretados pela regra par-ímpar: um anel dentro de outro é um buraco,
+  * e um anel dentro de um buraco é uma ilha.</p>
+  *
+  * O algoritmo:
+  * <ol>
+  *  <li>orienta os anéis de forma que o interior fique sempre à esquerda,
+  *  isto é, anéis externos com área positiva e buracos com área negativa;</li>
+  *  <li>divide as arestas de ambas as regiões nos pontos de interseção,
+  *  dados por segmentIntersection, inclusive nas extremidades de trechos
+  *  colineares;</li>
+  *  <li>classifica cada fragmento pelo seu ponto médio, como dentro, fora ou sobre
+  *  a borda da outra região, e neste último caso como de mesmo sentido ou oposto;</li>
+  *  <li>seleciona os fragmentos conforme a operação, invertendo os que passam
+  *  a ter o interior do outro lado, como os da segunda região na diferença;</li>
+  *  <li>liga os fragmentos pelas extremidades em anéis fechados.
+  *  Num vértice com mais de uma saída, segue a que faz a curva mais acentuada
+  *  para o lado do interior, de forma que anéis que apenas se tocam num vértice
+  *  saem separados.</li>
+  * </ol>
+  *
+  * <p>O resultado é um array de anéis, com a mesma convenção de orientação,
+  * de forma que a área da região é a soma de polygonArea dos anéis.
+  * Vértices repetidos ou colineares com os vizinhos e anéis de área nula
+  * são descartados.</p>
+  *
+  * Pontos a no máximo epsilon um do outro são identificados,
+  * o que absorve os erros de arredondamento no cálculo das interseções.
+  * O custo é O(n·m) para regiões com n e m arestas.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} a primeira região.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} b segunda região.
+  * @param {String} operation "intersection", "union", "difference" (a - b) ou "xor".
+  * @param {Number} epsilon tolerância de distância.
+  * @returns {Array<Array<Number[]>>} anéis da região resultante.
+  * @throws {Error} se a operação for desconhecida.
+  * @see https://en.wikipedia.org/wiki/Boolean_operations_on_polygons
+  */
+ export function polygonBoolean(a, b, operation, epsilon = 1e-9) {
+   // Fragmentos de a e de b usados por cada operação, conforme a classificação:
+   // sentido (1 mantém, -1 inverte, 0 descarta)
+   const rules = {
+     intersection: { a: { inside: 1, same: 1 }, b: { inside: 1 } },
+     union: { a: { outside: 1, same: 1 }, b: { outside: 1 } },
+     difference: { a: { outside: 1, opposite: 1 }, b: { inside: -1 } },
+     xor: { a: { outside: 1, inside: -1 }, b: { outside: 1, inside: -1 } },
+   }[operation];
+   if (!rules) throw new Error(`Unknown operation: ${operation}`);
+
+   // Pontos identificados: pontos próximos passam a ser o mesmo objeto
+   const registry = [];
+   const snap = (p) => {
+     const q = registry.find((q) => dist(p, q) <= epsilon);
+     if (q) return q;
+     registry.push(p);
+     return p;
+   };
+
+   // Anéis orientados com o interior à esquerda
+   const prepare = (region) => {
+     const rings = regionRings(region).filter((ring) => ring.length >= 3);
+     return rings
+       .map((ring) => {
+         const area = polygonArea(ring);
+         if (area == 0) return null;
+         const depth = rings.filter((other) => other != ring && pointInPoly(ring[0], other)).length;
+         const hole = depth % 2 == 1;
+         const oriented = (area > 0) == !hole ? ring : ring.slice().reverse();
+         return oriented.map(snap);
+       })
+       .filter((ring) => ring);
+   };
+   const ringsA = prepare(a);
+   const ringsB = prepare(b);
+
+   // Pontos de divisão de cada aresta, com o parâmetro ao longo dela
+   const splits = (rings) =>
+     rings.map((ring) => ring.map((p, i) => [{ t: 0, p }, { t: 1, p: ring[(i + 1) % ring.length] }]));
+   const splitsA = splits(ringsA);
+   const splitsB = splits(ringsB);
+   ringsA.forEach((ringA, ia) =>
+     ringA.forEach((p, i) => {
+       const q = ringA[(i + 1) % ringA.length];
+       ringsB.forEach((ringB, ib) =>
+         ringB.forEach((r, j) => {
+           const s = ringB[(j + 1) % ringB.length];
+           const hit = segmentIntersection(p, q, r, s, epsilon);
+           if (hit.type == "point") {
+             const point = snap(hit.point);
+             splitsA[ia][i].push({ t: hit.t, p: point });
+             splitsB[ib][j].push({ t: hit.u, p: point });
+           } else if (hit.type == "overlap") {
+             hit.points.forEach((point, k) => {
+               point = snap(point);
+               splitsA[ia][i].push({ t: hit.t[k], p: point });
+               splitsB[ib][j].push({ t: hit.u[k], p: point });
+             });
+           }
+         })
+       );
+     })
+   );
+
+   // Fragmentos [início, fim] de cada aresta
+   const fragments = (splits) => {
+     const list = [];
+     for (const ring of splits) {
+       for (const edge of ring) {
+         edge.sort((e, f) => e.t - f.t);
+         for (let k = 1; k < edge.length; k++) {
+           if (edge[k].p != edge[k - 1].p) list.push([edge[k - 1].p, edge[k].p]);
+         }
+       }
+     }
+     return list;
+   };
+
+   // Classificação de um fragmento com relação à outra região
+   const classify = ([p, q], rings) => {
+     const mid = [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2];
+     const edge = edgeNear(mid, rings, epsilon);
+     if (edge) {
+       const [e, f] = edge;
+       return dot(sub(q, p), sub(f, e)) > 0 ? "same" : "opposite";
+     }
+     return pointInRings(mid, rings) ? "inside" : "outside";
+   };
+
+   // Fragmentos selecionados, já no sentido do resultado
+   const selected = [];
+   const select = (list, rings, rule) => {
+     for (const fragment of list) {
+       const sense = rule[classify(fragment, rings)];
+       if (sense == 1) selected.push(fragment);
+       else if (sense == -1) selected.push([fragment[1], fragment[0]]);
+     }
+   };
+   select(fragments(splitsA), ringsB, rules.a);
+   select(fragments(splitsB), ringsA, rules.b);
+
+   // Ligação dos fragmentos em anéis
+   const outgoing = new Map();
+   for (const fragment of selected) {
+     if (!outgoing.has(fragment[0])) outgoing.set(fragment[0], []);
+     outgoing.get(fragment[0]).push(fragment);
+   }
+   const used = new Set();
+   // Ângulo de giro, no sentido trigonométrico, de in para out
+   const turn = ([p, q], [, s]) => {
+     const u = sub(q, p);
+     const v = sub(s, q);
+     return Math.atan2(cross(u, v), dot(u, v));
+   };
+   const result = [];
+   for (const first of selected) {
+     if (used.has(first)) continue;
+     used.add(first);
+     const ring = [first[0]];
+     let current = first;
+     while (current[1] != first[0]) {
+       const candidates = (outgoing.get(current[1]) || []).filter((f) => !used.has(f));
+       if (!candidates.length) break;
+       const next = candidates.reduce((best, f) => (turn(current, f) > turn(current, best) ? f : best));
+       used.add(next);
+       ring.push(next[0]);
+       current = next;
+     }
+     // Cadeias que não fecham (erros de arredondamento) são descartadas
+     if (current[1] != first[0]) continue;
+     dropDegenerate(ring, epsilon);
+     if (ring.length >= 3 && polygonArea(ring) != 0) result.push(ring.map((p) => p.slice()));
+   }
+   return result;
+ }
+
+ /**
+  * Interseção de duas regiões.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} a primeira região.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} b segunda região.
+  * @param {Number} epsilon tolerância de distância.
+  * @returns {Array<Array<Number[]>>} anéis da interseção.
+  * @see polygonBoolean
+  */
+ export function polygonIntersection(a, b, epsilon = 1e-9) {
+   return polygonBoolean(a, b, "intersection", epsilon);
+ }
+
+ /**
+  * União de duas regiões.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} a primeira região.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} b segunda região.
+  * @param {Number} epsilon tolerância de distância.
+  * @returns {Array<Array<Number[]>>} anéis da união.
+  * @see polygonBoolean
+  */
+ export function polygonUnion(a, b, epsilon = 1e-9) {
+   return polygonBoolean(a, b, "union", epsilon);
+ }
+
+ /**
+  * Diferença a - b de duas regiões.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} a primeira região.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} b segunda região.
+  * @param {Number} epsilon tolerância de distância.
+  * @returns {Array<Array<Number[]>>} anéis da diferença.
+  * @see polygonBoolean
+  */
+ export function polygonDifference(a, b, epsilon = 1e-9) {
+   return polygonBoolean(a, b, "difference", epsilon);
+ }
+
+ /**
+  * Diferença simétrica (xor) de duas regiões: os pontos que estão em apenas uma delas.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} a primeira região.
+  * @param {Array<Number[]>|Array<Array<Number[]>>} b segunda região.
+  * @param {Number} epsilon tolerância de distância.
+  * @returns {Array<Array<Number[]>>} anéis da diferença simétrica.
+  * @see polygonBoolean
+  */
+ export function polygonXor(a, b, epsilon = 1e-9) {
+   return polygonBoolean(a, b, "xor", epsilon);
+ }
+
+ /**
+  * <p>Recorte de um polígono por um polígono convexo, pelo algoritmo de
+  * Sutherland–Hodgman, em O(n·m).</p>
+  *
+  * <p>O polígono subject é recortado sucessivamente pelo semiplano interior
+  * de cada aresta de clip: os vértices do lado de dentro, ou sobre a reta,
+  * são mantidos, e cada aresta que atravessa a reta dá um novo vértice.</p>
+  *
+  * A circulação de clip é dada pelo sinal de sua área, de forma que ambas
+  * as orientações são aceitas. O resultado tem a circulação de subject.
+  * Se subject é convexo, o resultado é a interseção, também convexa;
+  * se é côncavo, o resultado pode ter arestas degeneradas sobre a borda de clip,
+  * mas a sua área ainda é a da interseção.
+  * @param {Array<Number[]>} subject polígono recortado.
+  * @param {Array<Number[]>} clip polígono convexo de recorte.
+  * @returns {Array<Number[]>} polígono recortado, vazio se não há interseção.
+  * @see https://en.wikipedia.org/wiki/Sutherland%E2%80%93Hodgman_algorithm
+  */
+ export function clipConvex(subject, clip) {
+   const s = Math.sign(polygonArea(clip));
+   if (s == 0) return [];
+   let output = subject.map((p) => p.slice());
+   for (let i = 0; i < clip.length && output.length; i++) {
+     const a = clip[i];
+     const b = clip[(i + 1) % clip.length];
+     // Positivo do lado de dentro da aresta a-b
+     const side = (p) => s * ((b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]));
+     const input = output;
+     output = [];
+     let prev = input[input.length - 1];
+     let prevSide = side(prev);
+     for (const p of input) {
+       const pSide = side(p);
+       if ((prevSide > 0 && pSide < 0) || (prevSide < 0 && pSide > 0)) {
+         const t = prevSide / (prevSide - pSide);
+         output.push([prev[0] + t * (p[0] - prev[0]), prev[1] + t * (p[1] - prev[1])]);
+       }
+       if (pSide >= 0) output.push(p);
+       prev = p;
+       prevSide = pSide;
+     }
+   }
+   return output;
+ }
+
+ /**
+  * Área da interseção entre dois polígonos convexos, dada por polygonArea
+  * do recorte de um pelo outro.
+  * @param {Array<Number[]>} a primeiro polígono.
+  * @param {Array<Number[]>} b segundo polígono, convexo.
+  * @returns {Number} área da interseção, não negativa.
+  * @see clipConvex
+  */
+ export function convexOverlapArea(a, b) {
+   const clipped = clipConvex(a, b);
+   return clipped.length < 3 ? 0 : Math.abs(polygonArea(clipped));
+ }
+
+ //Área com sinal da interseção do círculo de raio radius, centrado na origem,
+ //com o triângulo de vértices na origem, a e b
+ function circleTriangleArea(a, b, radius) {
+   const r2 = radius * radius;
+   const d = sub(b, a);
+   const A = dot(d, d);
+   if (A == 0) return 0;
+   const B = dot(a, d);
+   const C = dot(a, a) - r2;
+   // Parâmetros, ao longo de a-b, dos pontos onde a aresta atravessa o círculo
+   const ts = [0];
+   const disc = B * B - A * C;
+   if (disc > 0) {
+     const root = Math.sqrt(disc);
+     for (const t of [(-B - root) / A, (-B + root) / A]) if (t > 0 && t < 1) ts.push(t);
+   }
+   ts.push(1);
+   let area = 0;
+   for (let k = 1; k < ts.length; k++) {
+     const p = [a[0] + ts[k - 1] * d[0], a[1] + ts[k - 1] * d[1]];
+     const q = [a[0] + ts[k] * d[0], a[1] + ts[k] * d[1]];
+     const tm = (ts[k - 1] + ts[k]) / 2;
+     const mid = [a[0] + tm * d[0], a[1] + tm * d[1]];
+     if (dot(mid, mid) <= r2) {
+       // Trecho dentro do círculo: triângulo
+       area += cross(p, q) / 2;
+     } else {
+       // Trecho fora do círculo: setor
+       area += (r2 * Math.atan2(cross(p, q), dot(p, q))) / 2;
+     }
+   }
+   return area;
+ }
+
+ /**
+  * <p>Área da interseção entre um círculo e um polígono.</p>
+  *
+  * <p>Como em polygonArea, a área do polígono é a soma das áreas com sinal
+  * dos triângulos formados pelo centro do círculo e cada aresta.
+  * A interseção de cada um desses triângulos com o círculo é dividida nos pontos
+  * onde a aresta atravessa o círculo: os trechos da aresta dentro do círculo
+  * contribuem com um triângulo, e os trechos fora, com um setor circular.</p>
+  *
+  * Embora pensada para polígonos convexos, a soma vale para qualquer polígono simples.
+  * @param {Number[]} center centro do círculo.
+  * @param {Number} radius raio do círculo.
+  * @param {Array<Number[]>} poly polígono.
+  * @returns {Number} área da interseção, não negativa.
+  */
+ export function circlePolygonOverlapArea(center, radius, poly) {
+   let area = 0;
+   let prev = poly[poly.length - 1];
+   for (const p of poly) {
+     const a = [prev[0] - center[0], prev[1] - center[1]];
+     const b = [p[0] - center[0], p[1] - center[1]];
+     area += circleTriangleArea(a, b, radius);
+     prev = p;
+   }
+   return Math.abs(area);
+ }
+
+ /**
+  * <p>Circulação de um polígono, vista na tela: "CCW" (anti-horária),
+  * "CW" (horária) ou null se a área é nula.</p>
+  *
+  * Como em orient e convexHull, o eixo y aponta para baixo: um polígono "CW"
+  * tem orient(a, b, c) == 1 nos seus vértices convexos e área positiva
+  * em polygonArea, cujo sinal é o do sistema com o eixo y para cima.
+  * @param {Array<Number[]>} poly polígono.
+  * @returns {String|null} "CCW", "CW" ou null.
+  */
+ export function orientation(poly) {
+   if (poly.length < 3) return null;
+   const area = polygonArea(poly);
+   return area > 0 ? "CW" : area < 0 ? "CCW" : null;
+ }
+
+ /**
+  * <p>Pares de arestas de um polígono que se intersectam, sendo a aresta i
+  * a que vai de poly[i] a poly[(i + 1) % n].</p>
+  *
+  * <p>Arestas vizinhas se tocam no vértice comum, e só são reportadas se
+  * tiverem algum outro ponto em comum, como num espinho em que o contorno volta
+  * sobre si mesmo. Arestas não vizinhas são reportadas se tiverem qualquer ponto
+  * em comum, inclusive um vértice. Por isso, um vértice repetido em sequência,
+  * que gera uma aresta nula, faz com que as arestas vizinhas a ela sejam reportadas:
+  * use repairPolygon para removê-lo.</p>
+  *
+  * As interseções são dadas por segmentIntersection, numa varredura por x:
+  * as arestas são ordenadas pelo menor x, e cada uma só é testada com as arestas
+  * ativas, aquelas cujo intervalo em x ainda não terminou. O custo é O(n log n + m),
+  * sendo m o número de pares de arestas cujos intervalos em x se sobrepõem.
+  * @param {Array<Number[]>} poly polígono.
+  * @param {Number} epsilon tolerância de distância de segmentIntersection.
+  * @returns {Array<Number[]>} pares [i, j] de índices de arestas, com i &lt; j,
+  * em ordem lexicográfica.
+  * @see https://en.wikipedia.org/wiki/Sweep_line_algorithm
+  */
+ export function selfIntersections(poly, epsilon = 1e-9) {
+   const n = poly.length;
+   const edges = poly.map((a, i) => {
+     const b = poly[(i + 1) % n];
+     return { i, a, b, xmin: Math.min(a[0], b[0]), xmax: Math.max(a[0], b[0]) };
+   });
+   edges.sort((e, f) => e.xmin - f.xmin);
+   let active = [];
+   const pairs = [];
+   for (const e of edges) {
+     active = active.filter((f) => f.xmax >= e.xmin - epsilon);
+     for (const f of active) {
+       const hit = segmentIntersection(e.a, e.b, f.a, f.b, epsilon);
+       if (hit.type == "none") continue;
+       const [i, j] = e.i < f.i ? [e.i, f.i] : [f.i, e.i];
+       if (hit.type == "point" && n > 2) {
+         // Vértice comum de arestas vizinhas
+         const shared = j == i + 1 ? poly[j] : i == 0 && j == n - 1 ? poly[0] : null;
+         if (shared && dist(hit.point, shared) <= epsilon) continue;
+       }
+       pairs.push([i, j]);
+     }
+     active.push(e);
+   }
+   return pairs.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+ }
+
+ /**
+  * Retorna true se e somente se o polígono é simples: tem pelo menos três vértices
+  * e as suas arestas só se tocam nos vértices comuns de arestas vizinhas.
+  * Esta é a pré-condição de pointInPoly e triangulate.
+  * @param {Array<Number[]>} poly polígono.
+  * @param {Number} epsilon tolerância de distância de segmentIntersection.
+  * @returns {Boolean} true se o polígono é simples.
+  * @see selfIntersections
+  */
+ export function isSimple(poly, epsilon = 1e-9) {
+   return poly.length >= 3 && selfIntersections(poly, epsilon).length == 0;
+ }
+
+ /**
+  * <p>Retorna true se e somente se o polígono é convexo, em qualquer circulação.
+  * Esta é a pré-condição de pointInConvexPoly e de clipConvex.</p>
+  *
+  * Todas as curvas nos vértices, dadas por orient, devem ter o mesmo sinal,
+  * e a soma dos ângulos de giro deve ser de uma volta, o que exclui os
+  * polígonos estrelados, como o pentagrama. Vértices repetidos em sequência
+  * e vértices colineares com os vizinhos são aceitos, mas um espinho,
+  * onde o contorno volta sobre si mesmo, não.
+  * @param {Array<Number[]>} poly polígono.
+  * @param {String|Number} mode modo de orient.
+  * @returns {Boolean} true se o polígono é convexo.
+  */
+ export function isConvex(poly, mode = predicateMode) {
+   // Vértices sem repetições consecutivas
+   const vertices = poly.filter((p, i) => {
+     const next = poly[(i + 1) % poly.length];
+     return p[0] != next[0] || p[1] != next[1];
+   });
+   const n = vertices.length;
+   if (n < 3) return false;
+   let sign = 0;
+   let total = 0;
+   for (let i = 0; i < n; i++) {
+     const prev = vertices[(i + n - 1) % n];
+     const v = vertices[i];
+     const next = vertices[(i + 1) % n];
+     const o = orient(prev, v, next, mode);
+     if (o != 0) {
+       if (sign != 0 && o != sign) return false;
+       sign = o;
+     }
+     const u = sub(v, prev);
+     const w = sub(next, v);
+     total += Math.atan2(cross(u, w), dot(u, w));
+   }
+   return sign != 0 && Math.abs(Math.abs(total) - 2 * Math.PI) < 1e-6;
+ }
+
+ /**
+  * <p>Corrige um polígono: remove os vértices repetidos em sequência,
+  * os colineares com os vizinhos e as pontas de espinhos, onde o contorno
+  * volta sobre si mesmo, e coloca os vértices na circulação pedida.</p>
+  *
+  * Auto-interseções entre arestas não vizinhas não são corrigidas;
+  * verifique com isSimple.
+  * @param {Array<Number[]>} poly polígono.
+  * @param {String} wanted circulação do resultado vista na tela, "CCW" ou "CW", como em orientation.
+  * @param {Number} epsilon distância até a qual vértices são considerados
+  * repetidos, ou colineares com os vizinhos.
+  * @returns {Array<Number[]>} novo polígono, vazio se não sobra área.
+  * @throws {Error} se wanted não é "CCW" nem "CW".
+  * @see orientation
+  */
+ export function repairPolygon(poly, wanted = "CCW", epsilon = 1e-9) {
+   if (wanted != "CCW" && wanted != "CW") throw new Error(`Unknown orientation: ${wanted}`);
+   const ring = dropDegenerate(poly.map((p) => p.slice()), epsilon);
+   const current = orientation(ring);
+   if (current == null) return [];
+   return current == wanted ? ring : ring.reverse();
+ }
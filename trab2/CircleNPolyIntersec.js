@@ -214,6 +214,106 @@
 
     }
  }
+
+/**
+ * Shades the region where each triangle overlaps each rectangle.
+ * @param {CanvasRenderingContext2D} ctx canvas context.
+ * @param {Array<Object>} triangles triangles, with their polygons in poly.
+ * @param {Array<Object>} rects rectangles, with their polygons in poly.
+ */
+ function shadeOverlaps(ctx, triangles, rects) {
+   ctx.fillStyle = "rgba(255, 0, 0, 0.3)";
+   for (let triangle of triangles) {
+     for (let rect of rects) {
+       const rings = util2d.polygonIntersection(triangle.poly, rect.poly, 1e-6);
+       if (!rings.length) continue;
+       ctx.beginPath();
+       for (let ring of rings) {
+         ring.forEach((p, i) => (i ? ctx.lineTo(...p) : ctx.moveTo(...p)));
+         ctx.closePath();
+       }
+       ctx.fill("evenodd");
+     }
+   }
+ }
+
+/**
+ * Writes, halfway between the centers of each pair of overlapping shapes,
+ * the overlap area as a percentage of the area of the smaller shape,
+ * so 100% means one shape covers the other.
+ * Pairs of circles are not measured.
+ * @param {CanvasRenderingContext2D} ctx canvas context.
+ * @param {Array<Object>} polys triangles and rectangles, with their polygons in poly.
+ * @param {Array<Object>} circles circles.
+ */
+ function drawOverlapPercentages(ctx, polys, circles) {
+   const centroid = (poly) =>
+     vec2d.scale([], poly.reduce((c, p) => vec2d.add(c, c, p), [0, 0]), 1 / poly.length);
+   const label = (overlap, area1, area2, center1, center2) => {
+     const smaller = Math.min(area1, area2);
+     if (overlap <= 0 || smaller <= 0) return;
+     const [x, y] = vec2d.lerp([], center1, center2, 0.5);
+     ctx.fillText(`${Math.round((100 * overlap) / smaller)}%`, x, y);
+   };
+   ctx.fillStyle = "black";
+   ctx.font = "bold 14px sans-serif";
+   ctx.textAlign = "center";
+   ctx.textBaseline = "middle";
+   polys.forEach((shape, i) => {
+     const area = Math.abs(util2d.polygonArea(shape.poly));
+     for (let shape2 of polys.slice(i + 1)) {
+       label(
+         util2d.convexOverlapArea(shape.poly, shape2.poly),
+         area,
+         Math.abs(util2d.polygonArea(shape2.poly)),
+         centroid(shape.poly),
+         centroid(shape2.poly)
+       );
+     }
+     for (let circle of circles) {
+       label(
+         util2d.circlePolygonOverlapArea(circle.center, circle.radius, shape.poly),
+         area,
+         Math.PI * circle.radius ** 2,
+         centroid(shape.poly),
+         circle.center
+       );
+     }
+   });
+ }
+
+/**
+ * Draws the points where the edges of different polygons touch:
+ * a dot for a crossing and a thick segment for a collinear overlap.
+ * @param {CanvasRenderingContext2D} ctx canvas context.
+ * @param {Array<Array<Number[]>>} polys polygons.
+ */
+ function drawContacts(ctx, polys) {
+   ctx.fillStyle = ctx.strokeStyle = "blue";
+   ctx.lineWidth = 4;
+   polys.forEach((poly, i) => {
+     for (let poly2 of polys.slice(i + 1)) {
+       poly.forEach((a, j) => {
+         const b = poly[(j + 1) % poly.length];
+         poly2.forEach((c, k) => {
+           const d = poly2[(k + 1) % poly2.length];
+           const contact = util2d.segmentIntersection(a, b, c, d, 1e-6);
+           if (contact.type == "point") {
+             ctx.beginPath();
+             ctx.arc(...contact.point, 4, 0, Math.PI * 2);
+             ctx.fill();
+           } else if (contact.type == "overlap") {
+             ctx.beginPath();
+             ctx.moveTo(...contact.points[0]);
+             ctx.lineTo(...contact.points[1]);
+             ctx.stroke();
+           }
+         });
+       });
+     }
+   });
+   ctx.lineWidth = 1;
+ }
  
  (function polyDemo() {
    const demo = document.querySelector("#theCanvas");
@@ -373,6 +473,10 @@
        ctx.arc(...circle.resizePoint, 5, 0, Math.PI * 2);
        ctx.fill();
      }
+
+     shadeOverlaps(ctx, isos, rects);
+     drawOverlapPercentages(ctx, [...isos, ...rects], circs);
+     drawContacts(ctx, [...isos, ...rects].map((shape) => shape.poly));
    };
    update();
  